@@ -0,0 +1,96 @@
+const os = require('os');
+const path = require('path');
+
+// Every setting the server reads, with the default it uses when the variable is unset
+const SETTINGS = [
+  { name: 'PORT', default: '3000' },
+  { name: 'LOG_LEVEL', default: 'info' },
+  { name: 'MCP_TRANSPORT', default: 'http' },
+  { name: 'MCP_SESSION_TTL', default: '1800000' },
+  { name: 'MCP_EVENT_BUFFER_SIZE', default: '500' },
+  { name: 'CORS_ORIGINS' },
+  { name: 'GITHUB_API_TOKEN', secret: true },
+  { name: 'GITHUB_APP_ID' },
+  { name: 'GITHUB_APP_PRIVATE_KEY', secret: true },
+  { name: 'GITHUB_APP_PRIVATE_KEY_PATH' },
+  { name: 'GITHUB_TOKEN_HEADER' },
+  { name: 'CACHE_BACKEND', default: 'memory' },
+  { name: 'CACHE_MAX_ENTRIES', default: '500' },
+  { name: 'CACHE_DIR', default: path.join(os.tmpdir(), 'github-mcp-cache') },
+  { name: 'CACHE_REDIS_URL', default: 'redis://localhost:6379', url: true },
+  { name: 'CACHE_REDIS_PREFIX', default: 'github-mcp:' },
+  { name: 'CACHE_MAX_AGE', default: '86400' },
+  { name: 'CACHE_TTL', default: '3600' },
+  { name: 'CACHE_STALE_WHILE_REVALIDATE', default: '0' },
+  { name: 'REF_CACHE_TTL', default: '30' },
+  { name: 'FILE_MAX_BYTES', default: '100000' },
+  { name: 'RATE_LIMIT_MAX_WAIT', default: '120' },
+  { name: 'RATE_LIMIT_MAX_RETRIES', default: '3' },
+  { name: 'API_KEYS', secret: true },
+  { name: 'API_KEYS_FILE' },
+  { name: 'AUTH_JWKS_URL' },
+  { name: 'AUTH_JWT_ISSUER' },
+  { name: 'AUTH_JWT_AUDIENCE' },
+  { name: 'AUTH_JWT_SCOPES_CLAIM', default: 'scope' },
+  { name: 'READ_ONLY', default: 'false' },
+  { name: 'POLICY_ALLOW_REPOS' },
+  { name: 'POLICY_DENY_REPOS' },
+  { name: 'POLICY_ALLOW_PATHS' },
+  { name: 'POLICY_DENY_PATHS' },
+  { name: 'OTEL_TRACES_EXPORTER', default: 'none' },
+  { name: 'OTEL_EXPORTER_OTLP_ENDPOINT', default: 'http://localhost:4318', url: true },
+  { name: 'OTEL_SERVICE_NAME', default: 'github-mcp' },
+  { name: 'ADMIN_TOKEN', secret: true }
+];
+
+const MASK = '********';
+
+/**
+ * Hide a setting's secret parts: the whole value of a secret, and the password of a URL
+ */
+function mask(setting, value) {
+  if (setting.secret) {
+    return MASK;
+  }
+
+  if (setting.url) {
+    try {
+      const url = new URL(value);
+      if (url.password) {
+        url.password = MASK;
+      }
+      return url.toString();
+    } catch (error) {
+      return MASK;
+    }
+  }
+
+  return value;
+}
+
+/**
+ * Get the value of every setting, where it came from, and secrets masked
+ */
+function effectiveConfig() {
+  const settings = {};
+
+  for (const setting of SETTINGS) {
+    const value = process.env[setting.name];
+
+    if (value !== undefined && value !== '') {
+      settings[setting.name] = { value: mask(setting, value), source: 'env' };
+    } else if (setting.default !== undefined) {
+      settings[setting.name] = { value: mask(setting, setting.default), source: 'default' };
+    } else {
+      settings[setting.name] = { value: null, source: 'unset' };
+    }
+  }
+
+  return settings;
+}
+
+module.exports = {
+  effectiveConfig
+};
+
+// Made with Bob
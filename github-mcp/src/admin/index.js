@@ -0,0 +1,98 @@
+const crypto = require('crypto');
+const express = require('express');
+const githubClient = require('../github/client');
+const { effectiveConfig } = require('./config');
+const logger = require('../utils/logger');
+
+const router = express.Router();
+
+/**
+ * Compare a presented token with the admin token in constant time
+ */
+function isAdminToken(token) {
+  const hash = value => crypto.createHash('sha256').update(value).digest();
+  return crypto.timingSafeEqual(hash(token), hash(process.env.ADMIN_TOKEN));
+}
+
+/**
+ * Send an admin API error
+ */
+function sendError(res, status, code, message) {
+  res.status(status).json({
+    error: {
+      code,
+      message
+    }
+  });
+}
+
+// The admin API only exists with ADMIN_TOKEN set, and every route needs it as a bearer token
+router.use((req, res, next) => {
+  if (!process.env.ADMIN_TOKEN) {
+    return sendError(res, 404, 'admin_disabled', 'The admin API is disabled; set ADMIN_TOKEN to enable it');
+  }
+
+  const match = (req.get('authorization') || '').match(/^Bearer\s+(.+)$/i);
+  if (!match || !isAdminToken(match[1].trim())) {
+    res.set('WWW-Authenticate', 'Bearer');
+    return sendError(res, 401, 'unauthorized', 'A valid admin token is required');
+  }
+
+  next();
+});
+
+// Cache size, hit ratio and counts by key prefix
+router.get('/cache', async (req, res) => {
+  try {
+    res.json(await githubClient.getCacheStats());
+  } catch (error) {
+    logger.error('Error getting cache stats:', error);
+    sendError(res, 500, 'internal_error', error.message);
+  }
+});
+
+// Evict cached entries for a repository (?repo=owner/repo), by key prefix (?prefix=issues:owner/repo),
+// or everything (?all=true)
+router.delete('/cache', async (req, res) => {
+  const { repo, prefix, all } = req.query;
+
+  if (!repo && !prefix && all !== 'true') {
+    return sendError(res, 400, 'invalid_request', 'Pass repo, prefix, or all=true to clear the whole cache');
+  }
+
+  if (repo && !/^[^/\s]+\/[^/\s]+$/.test(repo)) {
+    return sendError(res, 400, 'invalid_request', 'repo must be owner/repo');
+  }
+
+  try {
+    if (all === 'true') {
+      await githubClient.clearCache();
+      return res.json({ cleared: true });
+    }
+
+    res.json({ evicted: await githubClient.evictCache({ repo, prefix }) });
+  } catch (error) {
+    logger.error('Error evicting cache entries:', error);
+    sendError(res, 500, 'internal_error', error.message);
+  }
+});
+
+// GitHub rate limit budgets for each credential in use
+router.get('/rate-limits', (req, res) => {
+  res.json({ credentials: githubClient.scheduler.getStatus() });
+});
+
+// Effective configuration, with secrets masked
+router.get('/config', (req, res) => {
+  res.json({
+    auth: githubClient.auth.mode,
+    cache: githubClient.cache.backend,
+    settings: effectiveConfig()
+  });
+});
+
+module.exports = {
+  router
+};
+
+// Made with Bob
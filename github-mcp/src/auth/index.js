@@ -0,0 +1,192 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const { createRemoteJWKSet, jwtVerify } = require('jose');
+const { allowsTool, allowsResource, allowsResourceTemplate } = require('./scopes');
+const { ForbiddenError } = require('../utils/errors');
+const requestContext = require('../utils/request-context');
+const metrics = require('../utils/metrics');
+const tracing = require('../utils/tracing');
+const logger = require('../utils/logger');
+
+/**
+ * Hash an API key the way keyHash entries store it
+ */
+function hashKey(key) {
+  return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+/**
+ * Read API keys from API_KEYS (JSON) or the JSON file named by API_KEYS_FILE.
+ * Each entry is { name, keyHash, scopes }, where keyHash is the key's SHA-256 in hex,
+ * or { name, key, scopes } with the key itself.
+ */
+function loadApiKeys() {
+  const json = process.env.API_KEYS ||
+    (process.env.API_KEYS_FILE ? fs.readFileSync(process.env.API_KEYS_FILE, 'utf8') : null);
+
+  if (!json) {
+    return new Map();
+  }
+
+  const entries = JSON.parse(json);
+  if (!Array.isArray(entries)) {
+    throw new Error('API keys must be a JSON array of { name, keyHash, scopes }');
+  }
+
+  return new Map(entries.map((entry, index) => {
+    if (!entry.name || !(entry.key || entry.keyHash) || !Array.isArray(entry.scopes)) {
+      throw new Error(`API key ${index} needs a name, a key or keyHash, and a scopes array`);
+    }
+    return [(entry.keyHash || hashKey(entry.key)).toLowerCase(), { name: entry.name, scopes: entry.scopes }];
+  }));
+}
+
+const apiKeys = loadApiKeys();
+
+// JWTs are verified against the keys published at AUTH_JWKS_URL, which jose fetches and caches
+const jwks = process.env.AUTH_JWKS_URL ? createRemoteJWKSet(new URL(process.env.AUTH_JWKS_URL)) : null;
+const jwtScopesClaim = process.env.AUTH_JWT_SCOPES_CLAIM || 'scope';
+
+const enabled = apiKeys.size > 0 || jwks !== null;
+
+/**
+ * Log whether HTTP callers must authenticate
+ */
+function logStatus() {
+  if (enabled) {
+    logger.info('Client authentication enabled', { apiKeys: apiKeys.size, jwt: jwks !== null });
+  } else {
+    logger.warn('Client authentication is disabled; anyone who can reach the server can use every tool');
+  }
+}
+
+/**
+ * Read the scopes from a JWT claim holding a space-separated string or an array
+ */
+function scopesFromClaim(claim) {
+  if (Array.isArray(claim)) {
+    return claim.map(String);
+  }
+  return typeof claim === 'string' ? claim.split(' ').filter(Boolean) : [];
+}
+
+/**
+ * Identify the caller presenting a bearer token, or return null if it isn't valid
+ */
+async function authenticate(token) {
+  const apiKey = apiKeys.get(hashKey(token));
+  if (apiKey) {
+    return { type: 'api_key', name: apiKey.name, scopes: apiKey.scopes };
+  }
+
+  if (!jwks || token.split('.').length !== 3) {
+    return null;
+  }
+
+  try {
+    const { payload } = await jwtVerify(token, jwks, {
+      issuer: process.env.AUTH_JWT_ISSUER || undefined,
+      audience: process.env.AUTH_JWT_AUDIENCE || undefined
+    });
+    return { type: 'jwt', name: payload.sub || 'unknown', scopes: scopesFromClaim(payload[jwtScopesClaim]) };
+  } catch (error) {
+    logger.warn('Rejected JWT', { error: error.message });
+    return null;
+  }
+}
+
+/**
+ * Express middleware requiring an API key or JWT as a bearer token when authentication
+ * is configured. The caller is kept in the request context for scope checks.
+ */
+async function middleware(req, res, next) {
+  if (!enabled) {
+    return next();
+  }
+
+  const match = (req.get('authorization') || '').match(/^Bearer\s+(\S+)\s*$/i);
+  const principal = match ? await authenticate(match[1]) : null;
+
+  if (!principal) {
+    res.set('WWW-Authenticate', 'Bearer');
+    return res.status(401).json({
+      error: {
+        code: 'unauthorized',
+        message: match ? 'Invalid API key or token' : 'An API key or JWT is required as a bearer token'
+      }
+    });
+  }
+
+  tracing.annotate({ 'enduser.id': principal.name, 'enduser.scope': principal.scopes.join(' ') });
+  requestContext.run({ ...requestContext.get(), principal }, next);
+}
+
+/**
+ * Record a refused call and build the error reporting it
+ */
+function deny(principal, kind, name, message) {
+  logger.warn('Access denied', { principal: principal.name, type: principal.type, scopes: principal.scopes, kind, name });
+  metrics.accessDenied.inc({ kind, name });
+  tracing.annotate({ 'auth.denied': true });
+  return new ForbiddenError(message);
+}
+
+/**
+ * Check whether the current caller may call a tool. Requests without a caller, such as over
+ * stdio or with authentication disabled, may call everything.
+ */
+function canCallTool(name, write) {
+  const { principal } = requestContext.get();
+  return !principal || allowsTool(principal.scopes, name, write);
+}
+
+/**
+ * Throw a ForbiddenError unless the current caller may call a tool
+ */
+function authorizeTool(name, write) {
+  if (!canCallTool(name, write)) {
+    const { principal } = requestContext.get();
+    throw deny(principal, 'tool', name, `'${principal.name}' is not allowed to call tool '${name}'; its scopes are: ${principal.scopes.join(', ') || 'none'}`);
+  }
+}
+
+/**
+ * Check whether the current caller may read any resource a URI template describes
+ */
+function canReadResourceTemplate(uriTemplate) {
+  const { principal } = requestContext.get();
+  return !principal || allowsResourceTemplate(principal.scopes, uriTemplate);
+}
+
+/**
+ * Identify the current caller, or null for requests without one
+ */
+function principalId() {
+  const { principal } = requestContext.get();
+  return principal ? `${principal.type}:${principal.name}` : null;
+}
+
+/**
+ * Throw a ForbiddenError unless the current caller may read a resource. type labels the
+ * refusal in metrics.
+ */
+function authorizeResource(uri, type) {
+  const { principal } = requestContext.get();
+
+  if (principal && !allowsResource(principal.scopes, uri)) {
+    throw deny(principal, 'resource', type, `'${principal.name}' is not allowed to read resource '${uri}'; its scopes are: ${principal.scopes.join(', ') || 'none'}`);
+  }
+}
+
+module.exports = {
+  logStatus,
+  middleware,
+  canCallTool,
+  authorizeTool,
+  authorizeResource,
+  canReadResourceTemplate,
+  principalId,
+  hashKey
+};
+
+// Made with Bob
@@ -0,0 +1,104 @@
+/**
+ * Scopes granted to API keys and JWTs:
+ *   *                 every tool and resource
+ *   read              every read-only tool and every resource
+ *   issues:write      the issue write tools
+ *   pulls:write       the pull request write tools
+ *   contents:write    the branch and file write tools
+ *   tool:<name>       one tool, or every tool with tool:*
+ *   resource:<glob>   resources whose URI matches the pattern, where * matches anything
+ */
+
+// Write tools granted by each write scope
+const WRITE_SCOPES = {
+  'issues:write': ['createIssue', 'commentOnIssue', 'updateIssue', 'addLabels', 'removeLabel', 'lockIssue'],
+  'pulls:write': ['createPullRequest', 'createPullRequestReview'],
+  'contents:write': ['createBranch', 'createOrUpdateFile', 'deleteFile', 'commitFiles']
+};
+
+/**
+ * Compile a glob where * matches any run of characters into a regular expression
+ */
+function globToRegExp(glob) {
+  const pattern = glob.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*');
+  return new RegExp(`^${pattern}$`);
+}
+
+/**
+ * Check whether a resource glob, where * matches anything, and a URI template can match the
+ * same URI. Template parameters match one path segment, except {path}, which may span several.
+ */
+function globMatchesTemplate(glob, uriTemplate) {
+  const template = uriTemplate.split(/(\{[^}]+\})/).flatMap(part => {
+    if (part === '{path}') {
+      return ['ANY'];
+    }
+    return part.startsWith('{') ? ['SEGMENT'] : part.split('');
+  });
+  const visited = new Set();
+
+  const overlap = (i, j) => {
+    if (visited.has(`${i},${j}`)) {
+      return false;
+    }
+    visited.add(`${i},${j}`);
+
+    if (i === glob.length && j === template.length) {
+      return true;
+    }
+    if (glob[i] === '*' && (overlap(i + 1, j) || (j < template.length && overlap(i, j + 1)))) {
+      return true;
+    }
+    if (template[j] === 'ANY' || template[j] === 'SEGMENT') {
+      const consumes = i < glob.length && glob[i] !== '*' && (template[j] === 'ANY' || glob[i] !== '/');
+      return overlap(i, j + 1) || (consumes && overlap(i + 1, j));
+    }
+    return i < glob.length && glob[i] === template[j] && overlap(i + 1, j + 1);
+  };
+
+  return overlap(0, 0);
+}
+
+/**
+ * Check whether scopes allow calling a tool; write says whether the tool changes anything
+ */
+function allowsTool(scopes, name, write) {
+  return scopes.some(scope =>
+    scope === '*' ||
+    (scope === 'read' && !write) ||
+    (WRITE_SCOPES[scope] || []).includes(name) ||
+    scope === 'tool:*' ||
+    scope === `tool:${name}`
+  );
+}
+
+/**
+ * Check whether scopes allow reading a resource URI
+ */
+function allowsResource(scopes, uri) {
+  return scopes.some(scope =>
+    scope === '*' ||
+    scope === 'read' ||
+    (scope.startsWith('resource:') && globToRegExp(scope.slice('resource:'.length)).test(uri))
+  );
+}
+
+/**
+ * Check whether scopes allow reading any resource a URI template such as
+ * github://repository/{owner}/{repo} describes
+ */
+function allowsResourceTemplate(scopes, uriTemplate) {
+  return scopes.some(scope =>
+    scope === '*' ||
+    scope === 'read' ||
+    (scope.startsWith('resource:') && globMatchesTemplate(scope.slice('resource:'.length), uriTemplate))
+  );
+}
+
+module.exports = {
+  allowsTool,
+  allowsResource,
+  allowsResourceTemplate
+};
+
+// Made with Bob
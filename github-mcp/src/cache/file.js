@@ -0,0 +1,224 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const logger = require('../utils/logger');
+
+// How often expired entries and the tag links left behind by removed entries are swept
+const SWEEP_INTERVAL = 10 * 60 * 1000;
+
+// Temporary files older than this were left by a process that died mid-write
+const TEMP_MAX_AGE = 60 * 60 * 1000;
+
+/**
+ * Hash a key or tag into a file name
+ */
+function fileName(value) {
+  return crypto.createHash('sha256').update(value).digest('hex');
+}
+
+/**
+ * Ignore errors from removing files that are already gone
+ */
+function ignoreMissing(error) {
+  if (error.code !== 'ENOENT') {
+    throw error;
+  }
+}
+
+/**
+ * Read an entry file, or undefined when it is missing or torn by a crash mid-write
+ */
+async function readRecord(file) {
+  try {
+    return JSON.parse(await fs.promises.readFile(file, 'utf8'));
+  } catch (error) {
+    return undefined;
+  }
+}
+
+/**
+ * Cache stored as JSON files in a directory, which survives restarts and can be shared by
+ * processes on one machine. Each entry is entries/<hash>.json, and each tag is a directory
+ * tags/<hash>/ holding an empty file named after each tagged entry. Expired entries and
+ * stale tag links are swept every sweepInterval milliseconds, so the directory doesn't grow
+ * past what was written within the entries' TTL.
+ */
+class FileCache {
+  constructor({ dir, sweepInterval = SWEEP_INTERVAL }) {
+    this.backend = 'file';
+    this.dir = dir;
+    this.entriesDir = path.join(dir, 'entries');
+    this.tagsDir = path.join(dir, 'tags');
+
+    fs.mkdirSync(this.entriesDir, { recursive: true });
+    fs.mkdirSync(this.tagsDir, { recursive: true });
+
+    this.sweepTimer = setInterval(() => {
+      this.sweep().catch(error => logger.warn('File cache sweep failed', { dir, error: error.message }));
+    }, sweepInterval).unref();
+  }
+
+  _entryPath(name) {
+    return path.join(this.entriesDir, `${name}.json`);
+  }
+
+  async get(key) {
+    const file = this._entryPath(fileName(key));
+    const record = await readRecord(file);
+
+    if (!record || record.key !== key) {
+      return undefined;
+    }
+
+    if (record.expiresAt !== null && record.expiresAt <= Date.now()) {
+      await fs.promises.unlink(file).catch(ignoreMissing);
+      return undefined;
+    }
+
+    return record.value;
+  }
+
+  async set(key, value, { ttl, tags = [] } = {}) {
+    const name = fileName(key);
+    const file = this._entryPath(name);
+    const record = { key, value, tags, expiresAt: ttl ? Date.now() + ttl : null };
+
+    // Write to a temporary file and rename it so readers never see a partial entry
+    const temp = `${file}.${process.pid}.${crypto.randomBytes(4).toString('hex')}.tmp`;
+    await fs.promises.writeFile(temp, JSON.stringify(record));
+    await fs.promises.rename(temp, file);
+
+    await Promise.all(tags.map(async tag => {
+      const tagDir = path.join(this.tagsDir, fileName(tag));
+      const link = path.join(tagDir, name);
+      await fs.promises.mkdir(tagDir, { recursive: true });
+
+      // A sweep may remove the directory while it is empty; create it again if so
+      await fs.promises.writeFile(link, '').catch(async error => {
+        ignoreMissing(error);
+        await fs.promises.mkdir(tagDir, { recursive: true });
+        await fs.promises.writeFile(link, '');
+      });
+    }));
+  }
+
+  async delete(key) {
+    await fs.promises.unlink(this._entryPath(fileName(key))).catch(ignoreMissing);
+  }
+
+  async keys() {
+    const names = await fs.promises.readdir(this.entriesDir);
+    const keys = [];
+
+    for (const name of names.filter(name => name.endsWith('.json'))) {
+      // Missing records were removed or are being replaced since the directory was read
+      const record = await readRecord(path.join(this.entriesDir, name));
+      if (record && (record.expiresAt === null || record.expiresAt > Date.now())) {
+        keys.push(record.key);
+      }
+    }
+
+    return keys;
+  }
+
+  async invalidateTags(tags) {
+    let count = 0;
+
+    for (const tag of tags) {
+      const tagDir = path.join(this.tagsDir, fileName(tag));
+
+      let names;
+      try {
+        names = await fs.promises.readdir(tagDir);
+      } catch (error) {
+        ignoreMissing(error);
+        continue;
+      }
+
+      await Promise.all(names.map(name => fs.promises.unlink(this._entryPath(name)).then(() => count++, ignoreMissing)));
+      await fs.promises.rm(tagDir, { recursive: true, force: true });
+    }
+
+    return count;
+  }
+
+  /**
+   * Remove expired entries, temporary files left by crashed writers, tag links to entries
+   * that are gone and empty tag directories. Returns the number of entries removed.
+   */
+  async sweep() {
+    const now = Date.now();
+    let count = 0;
+
+    for (const name of await fs.promises.readdir(this.entriesDir)) {
+      const file = path.join(this.entriesDir, name);
+
+      if (name.endsWith('.tmp')) {
+        const stat = await fs.promises.stat(file).catch(() => undefined);
+        if (stat && now - stat.mtimeMs > TEMP_MAX_AGE) {
+          await fs.promises.unlink(file).catch(ignoreMissing);
+        }
+        continue;
+      }
+
+      const record = await readRecord(file);
+      if (record && record.expiresAt !== null && record.expiresAt <= now) {
+        await fs.promises.unlink(file).then(() => count++, ignoreMissing);
+      }
+    }
+
+    for (const tag of await fs.promises.readdir(this.tagsDir)) {
+      const tagDir = path.join(this.tagsDir, tag);
+
+      let names;
+      try {
+        names = await fs.promises.readdir(tagDir);
+      } catch (error) {
+        ignoreMissing(error);
+        continue;
+      }
+
+      // Entries are written before their tag links, so a link without an entry is stale
+      const stale = [];
+      for (const name of names) {
+        const exists = await fs.promises.access(this._entryPath(name)).then(() => true, () => false);
+        if (!exists) {
+          stale.push(name);
+        }
+      }
+      await Promise.all(stale.map(name => fs.promises.unlink(path.join(tagDir, name)).catch(ignoreMissing)));
+
+      // Fails harmlessly if an entry was tagged since the directory was read
+      if (stale.length === names.length) {
+        await fs.promises.rmdir(tagDir).catch(() => {});
+      }
+    }
+
+    return count;
+  }
+
+  async clear() {
+    await Promise.all([this.entriesDir, this.tagsDir].map(async dir => {
+      await fs.promises.rm(dir, { recursive: true, force: true });
+      await fs.promises.mkdir(dir, { recursive: true });
+    }));
+  }
+
+  async stats() {
+    const names = await fs.promises.readdir(this.entriesDir);
+    const tags = await fs.promises.readdir(this.tagsDir);
+
+    return {
+      backend: this.backend,
+      dir: this.dir,
+      entries: names.filter(name => name.endsWith('.json')).length,
+      tags: tags.length
+    };
+  }
+}
+
+module.exports = {
+  FileCache
+};
+
+// Made with Bob
@@ -0,0 +1,50 @@
+const os = require('os');
+const path = require('path');
+const { MemoryCache } = require('./memory');
+const { FileCache } = require('./file');
+const { RedisCache } = require('./redis');
+
+/**
+ * Cache backends share one async interface:
+ *   get(key)                      the value, or undefined when missing or expired
+ *   set(key, value, {ttl, tags})  store a JSON-serializable value for ttl milliseconds
+ *   delete(key)
+ *   keys()                        every key currently stored
+ *   invalidateTags(tags)          delete every entry carrying any of the tags
+ *   clear()
+ *   stats()                       entry counts and backend details
+ */
+
+/**
+ * Create the cache backend selected by CACHE_BACKEND: memory (the default), file or redis
+ */
+function createCache() {
+  const backend = (process.env.CACHE_BACKEND || 'memory').toLowerCase();
+
+  switch (backend) {
+    case 'memory':
+      return new MemoryCache({
+        maxEntries: parseInt(process.env.CACHE_MAX_ENTRIES || '500')
+      });
+
+    case 'file':
+      return new FileCache({
+        dir: process.env.CACHE_DIR || path.join(os.tmpdir(), 'github-mcp-cache')
+      });
+
+    case 'redis':
+      return new RedisCache({
+        url: process.env.CACHE_REDIS_URL || 'redis://localhost:6379',
+        prefix: process.env.CACHE_REDIS_PREFIX || 'github-mcp:'
+      });
+
+    default:
+      throw new Error(`Unknown CACHE_BACKEND '${backend}'; use memory, file or redis`);
+  }
+}
+
+module.exports = {
+  createCache
+};
+
+// Made with Bob
@@ -0,0 +1,82 @@
+const { LRUCache } = require('lru-cache');
+
+/**
+ * In-process cache holding up to maxEntries entries, evicting the least recently used
+ */
+class MemoryCache {
+  constructor({ maxEntries }) {
+    this.backend = 'memory';
+    this.maxEntries = maxEntries;
+
+    // Keys by tag; entries are untagged when they are deleted, evicted or expire
+    this.tags = new Map();
+    this.entries = new LRUCache({
+      max: maxEntries,
+      dispose: (entry, key) => this._untag(key, entry.tags)
+    });
+  }
+
+  /**
+   * Remove a key from the index of its tags
+   */
+  _untag(key, tags) {
+    for (const tag of tags) {
+      const keys = this.tags.get(tag);
+      if (keys) {
+        keys.delete(key);
+        if (keys.size === 0) {
+          this.tags.delete(tag);
+        }
+      }
+    }
+  }
+
+  async get(key) {
+    const entry = this.entries.get(key);
+    return entry === undefined ? undefined : entry.value;
+  }
+
+  async set(key, value, { ttl, tags = [] } = {}) {
+    this.entries.set(key, { value, tags }, { ttl });
+
+    for (const tag of tags) {
+      if (!this.tags.has(tag)) {
+        this.tags.set(tag, new Set());
+      }
+      this.tags.get(tag).add(key);
+    }
+  }
+
+  async delete(key) {
+    this.entries.delete(key);
+  }
+
+  async keys() {
+    return Array.from(this.entries.keys());
+  }
+
+  async invalidateTags(tags) {
+    const keys = new Set(tags.flatMap(tag => Array.from(this.tags.get(tag) || [])));
+    keys.forEach(key => this.entries.delete(key));
+    return keys.size;
+  }
+
+  async clear() {
+    this.entries.clear();
+  }
+
+  async stats() {
+    return {
+      backend: this.backend,
+      entries: this.entries.size,
+      maxEntries: this.maxEntries,
+      tags: this.tags.size
+    };
+  }
+}
+
+module.exports = {
+  MemoryCache
+};
+
+// Made with Bob
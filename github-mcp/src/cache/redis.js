@@ -0,0 +1,137 @@
+const Redis = require('ioredis');
+const logger = require('../utils/logger');
+
+// Add a key to a tag set and make the set live at least as long as the key's entry: ARGV[2] is
+// the entry's TTL in milliseconds, or 0 for an entry that never expires. A set's expiry is only
+// ever extended, so a short-lived entry never cuts short the set holding longer-lived ones.
+const TAG_SCRIPT = `
+  local existed = redis.call('EXISTS', KEYS[1]) == 1
+  local current = redis.call('PTTL', KEYS[1])
+  local ttl = tonumber(ARGV[2])
+  redis.call('SADD', KEYS[1], ARGV[1])
+  if ttl == 0 then
+    redis.call('PERSIST', KEYS[1])
+  elseif not existed or (current >= 0 and current < ttl) then
+    redis.call('PEXPIRE', KEYS[1], ttl)
+  end
+`;
+
+/**
+ * Cache stored in Redis (or anything speaking its protocol), shared by every server instance.
+ * Entries are JSON strings under <prefix>entry:<key> and tags are sets of keys under
+ * <prefix>tag:<tag>.
+ */
+class RedisCache {
+  constructor({ url, prefix }) {
+    this.backend = 'redis';
+    this.prefix = prefix;
+
+    // Fail commands at once while disconnected rather than queueing them; a cache miss beats a hang
+    this.redis = new Redis(url, { enableOfflineQueue: false, maxRetriesPerRequest: 1 });
+    this.redis.on('error', error => {
+      logger.warn('Redis cache error', { error: error.message });
+    });
+    this.redis.defineCommand('tag', { numberOfKeys: 1, lua: TAG_SCRIPT });
+  }
+
+  _entryKey(key) {
+    return `${this.prefix}entry:${key}`;
+  }
+
+  _tagKey(tag) {
+    return `${this.prefix}tag:${tag}`;
+  }
+
+  /**
+   * List every Redis key matching a pattern
+   */
+  async _scan(pattern) {
+    const keys = [];
+    let cursor = '0';
+
+    do {
+      const [next, batch] = await this.redis.scan(cursor, 'MATCH', pattern, 'COUNT', 1000);
+      keys.push(...batch);
+      cursor = next;
+    } while (cursor !== '0');
+
+    return keys;
+  }
+
+  async get(key) {
+    const json = await this.redis.get(this._entryKey(key));
+    return json === null ? undefined : JSON.parse(json);
+  }
+
+  async set(key, value, { ttl, tags = [] } = {}) {
+    const multi = this.redis.multi();
+
+    if (ttl) {
+      multi.set(this._entryKey(key), JSON.stringify(value), 'PX', ttl);
+    } else {
+      multi.set(this._entryKey(key), JSON.stringify(value));
+    }
+
+    // A tag set lives as long as its longest-lived entry; keys of expired entries in it are harmless
+    for (const tag of tags) {
+      multi.tag(this._tagKey(tag), key, ttl || 0);
+    }
+
+    // A transaction reports each command's error alongside its result rather than rejecting
+    const results = await multi.exec();
+    const failed = (results || []).find(([error]) => error);
+    if (failed) {
+      throw failed[0];
+    }
+  }
+
+  async delete(key) {
+    await this.redis.del(this._entryKey(key));
+  }
+
+  async keys() {
+    const keys = await this._scan(`${this.prefix}entry:*`);
+    return keys.map(key => key.slice(this._entryKey('').length));
+  }
+
+  async invalidateTags(tags) {
+    let count = 0;
+
+    for (const tag of tags) {
+      const keys = await this.redis.smembers(this._tagKey(tag));
+      if (keys.length > 0) {
+        count += await this.redis.del(...keys.map(key => this._entryKey(key)));
+      }
+      await this.redis.del(this._tagKey(tag));
+    }
+
+    return count;
+  }
+
+  async clear() {
+    const keys = await this._scan(`${this.prefix}*`);
+
+    for (let i = 0; i < keys.length; i += 1000) {
+      await this.redis.del(...keys.slice(i, i + 1000));
+    }
+  }
+
+  async stats() {
+    const [entries, tags] = await Promise.all([
+      this._scan(`${this.prefix}entry:*`),
+      this._scan(`${this.prefix}tag:*`)
+    ]);
+
+    return {
+      backend: this.backend,
+      entries: entries.length,
+      tags: tags.length
+    };
+  }
+}
+
+module.exports = {
+  RedisCache
+};
+
+// Made with Bob
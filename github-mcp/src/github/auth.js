@@ -0,0 +1,202 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const { App, Octokit } = require('octokit');
+const { LRUCache } = require('lru-cache');
+const { ToolError } = require('../utils/errors');
+const requestContext = require('../utils/request-context');
+const logger = require('../utils/logger');
+
+// Don't re-list installations more than once a minute when an owner isn't found
+const INSTALLATION_REFRESH_INTERVAL = 60000;
+
+// Rate limits are handled by the client's scheduler rather than octokit's throttling plugin
+const ScheduledOctokit = Octokit.defaults({
+  throttle: { enabled: false },
+  retry: { doNotRetry: [400, 401, 403, 404, 422, 429, 451] }
+});
+
+/**
+ * Read the GitHub App private key from GITHUB_APP_PRIVATE_KEY (with literal \n allowed)
+ * or from the file named by GITHUB_APP_PRIVATE_KEY_PATH
+ */
+function readPrivateKey() {
+  if (process.env.GITHUB_APP_PRIVATE_KEY) {
+    return process.env.GITHUB_APP_PRIVATE_KEY.replace(/\\n/g, '\n');
+  }
+  if (process.env.GITHUB_APP_PRIVATE_KEY_PATH) {
+    return fs.readFileSync(process.env.GITHUB_APP_PRIVATE_KEY_PATH, 'utf8');
+  }
+  return null;
+}
+
+/**
+ * Hash a token so it can identify a caller without being kept in cache keys or logs
+ */
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex').slice(0, 32);
+}
+
+/**
+ * Picks the Octokit to use for a request. With GITHUB_TOKEN_HEADER set, each request uses
+ * the caller's own token from that header. Otherwise, with a GitHub App configured,
+ * requests for an owner use that owner's installation; octokit caches and refreshes
+ * installation tokens. The personal access token is used when no app is configured, and
+ * for owners the app isn't installed on. request holds Octokit request options, such as
+ * the fetch to send requests with, for every Octokit it creates.
+ */
+class GitHubAuth {
+  constructor(scheduler, { request } = {}) {
+    this.scheduler = scheduler;
+    this.Octokit = request ? ScheduledOctokit.defaults({ request }) : ScheduledOctokit;
+
+    const appId = process.env.GITHUB_APP_ID;
+    const privateKey = appId ? readPrivateKey() : null;
+
+    if (appId && !privateKey) {
+      throw new Error('GITHUB_APP_ID is set but neither GITHUB_APP_PRIVATE_KEY nor GITHUB_APP_PRIVATE_KEY_PATH is');
+    }
+
+    this.app = appId ? new App({ appId, privateKey, Octokit: this.Octokit }) : null;
+    if (this.app) {
+      scheduler.attach(this.app.octokit, 'app');
+    }
+
+    this.tokenOctokit = !this.app || process.env.GITHUB_API_TOKEN
+      ? scheduler.attach(new this.Octokit({ auth: process.env.GITHUB_API_TOKEN }), 'token')
+      : null;
+
+    // Installation IDs by lowercased account login, and one Octokit per installation
+    this.installations = null;
+    this.installationsLoadedAt = 0;
+    this.loadingInstallations = null;
+    this.installationOctokits = new Map();
+
+    // Callers' tokens are forwarded in this header when pass-through is enabled
+    this.tokenHeader = process.env.GITHUB_TOKEN_HEADER ? process.env.GITHUB_TOKEN_HEADER.toLowerCase() : null;
+    // A caller's rate limit budgets are forgotten along with their Octokit
+    this.callerOctokits = new LRUCache({
+      max: 1000,
+      ttl: 15 * 60 * 1000,
+      updateAgeOnGet: true,
+      dispose: (octokit, key) => scheduler.forget(`caller:${key}`)
+    });
+
+    this.mode = this.tokenHeader ? 'passthrough' : this.app ? 'app' : 'token';
+  }
+
+  /**
+   * Read the caller's GitHub token from the pass-through header of an HTTP request
+   */
+  tokenFromRequest(req) {
+    if (!this.tokenHeader) {
+      return undefined;
+    }
+
+    const value = req.get(this.tokenHeader);
+    return value ? value.replace(/^(?:bearer|token)\s+/i, '').trim() || undefined : undefined;
+  }
+
+  /**
+   * Identify whose credentials the current request uses, so cached responses are never
+   * shared between callers
+   */
+  getIdentity() {
+    const { githubToken } = requestContext.get();
+    return this.tokenHeader && githubToken ? `caller:${hashToken(githubToken)}` : 'server';
+  }
+
+  /**
+   * Get an Octokit authenticated as the caller of the current request
+   */
+  _getCallerOctokit() {
+    const { githubToken } = requestContext.get();
+
+    if (!githubToken) {
+      throw new ToolError(`A GitHub token is required in the ${process.env.GITHUB_TOKEN_HEADER} header`, 401, 'missing_credentials');
+    }
+
+    const key = hashToken(githubToken);
+    if (!this.callerOctokits.has(key)) {
+      this.callerOctokits.set(key, this.scheduler.attach(new this.Octokit({ auth: githubToken }), `caller:${key}`));
+    }
+
+    return this.callerOctokits.get(key);
+  }
+
+  /**
+   * List the app's installations, sharing one request between concurrent callers
+   */
+  async _loadInstallations() {
+    if (!this.loadingInstallations) {
+      this.loadingInstallations = this.app.octokit.paginate(this.app.octokit.rest.apps.listInstallations, { per_page: 100 })
+        .then(installations => {
+          this.installations = new Map(installations.map(installation => [installation.account.login.toLowerCase(), installation.id]));
+          this.installationsLoadedAt = Date.now();
+          logger.info('Loaded GitHub App installations', { count: installations.length });
+        })
+        .finally(() => {
+          this.loadingInstallations = null;
+        });
+    }
+
+    return this.loadingInstallations;
+  }
+
+  /**
+   * Find the app installation for an owner, re-listing installations if it may be new
+   */
+  async _getInstallationId(owner) {
+    const login = owner.toLowerCase();
+
+    if (!this.installations ||
+      (!this.installations.has(login) && Date.now() - this.installationsLoadedAt > INSTALLATION_REFRESH_INTERVAL)) {
+      await this._loadInstallations();
+    }
+
+    return this.installations.get(login);
+  }
+
+  /**
+   * Get the Octokit for requests about an owner's repositories
+   */
+  async getOctokit(owner) {
+    if (this.tokenHeader) {
+      return this._getCallerOctokit();
+    }
+
+    if (!this.app) {
+      return this.tokenOctokit;
+    }
+
+    const installationId = owner ? await this._getInstallationId(owner) : undefined;
+
+    if (installationId === undefined) {
+      if (this.tokenOctokit) {
+        return this.tokenOctokit;
+      }
+
+      throw new ToolError(
+        owner
+          ? `The GitHub App is not installed for '${owner}'`
+          : 'This request is not scoped to an owner, which requires GITHUB_API_TOKEN when using a GitHub App',
+        403,
+        'not_installed'
+      );
+    }
+
+    if (!this.installationOctokits.has(installationId)) {
+      const octokit = this.app.getInstallationOctokit(installationId)
+        .then(installationOctokit => this.scheduler.attach(installationOctokit, `installation:${installationId}`));
+      this.installationOctokits.set(installationId, octokit);
+      octokit.catch(() => this.installationOctokits.delete(installationId));
+    }
+
+    return this.installationOctokits.get(installationId);
+  }
+}
+
+module.exports = {
+  GitHubAuth
+};
+
+// Made with Bob
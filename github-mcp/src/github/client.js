@@ -1,107 +1,463 @@
-const { Octokit } = require('octokit');
-const { LRUCache } = require('lru-cache');
-const winston = require('winston');
+const picomatch = require('picomatch');
+const { ConflictError } = require('../utils/errors');
+const { encodeCursor, decodeCursor, nextPageFromLink } = require('./pagination');
+const { GitHubAuth } = require('./auth');
+const { RateLimitScheduler } = require('./rate-limit');
+const { createCache } = require('../cache');
+const { mimeTypeOf, isBinaryType, isBinary, sliceText } = require('../utils/content');
+const { mapWithConcurrency } = require('../utils/concurrency');
+const policy = require('../policy');
+const metrics = require('../utils/metrics');
+const tracing = require('../utils/tracing');
+const logger = require('../utils/logger');
 
-// Create logger
-const logger = winston.createLogger({
-  level: process.env.LOG_LEVEL || 'info',
-  format: winston.format.combine(
-    winston.format.timestamp(),
-    winston.format.json()
-  ),
-  transports: [
-    new winston.transports.Console()
-  ]
-});
+// Blame ranges for one file at a commit
+const BLAME_QUERY = `
+  query($owner: String!, $repo: String!, $expression: String!, $path: String!) {
+    repository(owner: $owner, name: $repo) {
+      object(expression: $expression) {
+        ... on Commit {
+          oid
+          blame(path: $path) {
+            ranges {
+              startingLine
+              endingLine
+              age
+              commit {
+                oid
+                messageHeadline
+                committedDate
+                url
+                author {
+                  name
+                  email
+                  user {
+                    login
+                  }
+                }
+              }
+            }
+          }
+        }
+      }
+    }
+  }
+`;
+
+// Tree entry types by git file mode; anything else is a file
+const TREE_ENTRY_TYPES = {
+  '040000': 'dir',
+  '120000': 'symlink',
+  '160000': 'submodule'
+};
+
+// Trees GitHub truncates are listed one directory at a time, up to this many directories
+const TREE_WALK_MAX_REQUESTS = 100;
+const TREE_WALK_CONCURRENCY = 5;
+
+// Metric labels for the cache read counters
+const CACHE_READ_OUTCOMES = {
+  hits: 'hit',
+  revalidated: 'revalidated',
+  misses: 'miss'
+};
 
 class GitHubClient {
-  constructor() {
-    // Initialize Octokit with GitHub token
-    this.octokit = new Octokit({
-      auth: process.env.GITHUB_API_TOKEN
+  constructor({ request } = {}) {
+    // Requests wait for GitHub's rate limit budget instead of failing; nothing waits longer than RATE_LIMIT_MAX_WAIT
+    this.scheduler = new RateLimitScheduler({
+      maxWait: parseInt(process.env.RATE_LIMIT_MAX_WAIT || '120') * 1000,
+      maxRetries: parseInt(process.env.RATE_LIMIT_MAX_RETRIES || '3')
     });
     
-    // Initialize cache
-    this.cache = new LRUCache({
-      max: 500, // Maximum number of items in cache
-      ttl: parseInt(process.env.CACHE_TTL || '3600') * 1000, // Time to live in milliseconds
-      allowStale: false,
-      updateAgeOnGet: true,
-      updateAgeOnHas: false
-    });
+    // Authenticate as a GitHub App installation or with a personal access token
+    this.auth = new GitHubAuth(this.scheduler, { request });
+    
+    // In memory, on disk or in Redis, as CACHE_BACKEND selects
+    this.cache = createCache();
+    this.cacheTtl = parseInt(process.env.CACHE_TTL || '3600') * 1000;
+    
+    // Expired entries this much past their TTL are served at once while being refreshed
+    this.staleWhileRevalidate = parseInt(process.env.CACHE_STALE_WHILE_REVALIDATE || '0') * 1000;
+    
+    // Entries outlive their TTL so they can be revalidated with their ETag, until CACHE_MAX_AGE
+    this.cacheMaxAge = Math.max(
+      parseInt(process.env.CACHE_MAX_AGE || '86400') * 1000,
+      this.cacheTtl + this.staleWhileRevalidate
+    );
+    
+    // In-flight fetches by cache key, so concurrent reads of one entry share a request
+    this.revalidations = new Map();
+    
+    // Hits, revalidations and misses by key prefix since startup
+    this.cacheReads = new Map();
     
-    // Initialize rate limiting
-    this.rateLimitWindow = parseInt(process.env.RATE_LIMIT_WINDOW || '60000'); // 1 minute in milliseconds
-    this.rateLimitMax = parseInt(process.env.RATE_LIMIT_MAX || '60'); // 60 requests per minute
-    this.requestCount = 0;
-    this.requestTimestamps = [];
+    // Branch and tag resolutions are cached briefly because branches move
+    this.refCacheTtl = parseInt(process.env.REF_CACHE_TTL || '30') * 1000;
     
-    logger.info('GitHub client initialized');
+    // File reads return at most this many bytes unless the caller asks for a different limit
+    this.fileMaxBytes = parseInt(process.env.FILE_MAX_BYTES || '100000');
+    
+    logger.info('GitHub client initialized', { auth: this.auth.mode, cache: this.cache.backend });
+  }
+  
+  /**
+   * Make a GitHub API request with error logging; the scheduler handles rate limits.
+   * Returns the response data unless select picks something else from the response.
+   */
+  async _request(description, context, request, select = response => response.data) {
+    try {
+      logger.debug(description, context);
+      
+      // Requests are made as the installation for the owner they are about
+      const octokit = await this.auth.getOctokit(context.owner);
+      const response = await request(octokit);
+      
+      return select(response);
+    } catch (error) {
+      // 304 Not Modified is how a conditional request reports that the cached entry is current
+      if (error.status !== 304) {
+        logger.error(`Error ${description.charAt(0).toLowerCase()}${description.slice(1)}`, { error: error.message, ...context });
+      }
+      throw error;
+    }
+  }
+  
+  /**
+   * Qualify a cache key with the identity making the request, so one caller's
+   * responses are never served to another. Tags are shared, so invalidation reaches every caller.
+   */
+  _cacheKey(key) {
+    return `${key}#${this.auth.getIdentity()}`;
+  }
+  
+  /**
+   * Tag a cache entry with its kind (the key's prefix) and repository, such as
+   * 'issues:octocat/hello-world', so a change to a repository drops exactly the kinds it affects.
+   * Entries are also tagged with the bare repository so all of it can be evicted at once.
+   */
+  _cacheTags(cacheKey, { owner, repo }) {
+    const kind = cacheKey.slice(0, cacheKey.indexOf(':'));
+    return repo ? [`${kind}:${owner}/${repo}`, `${owner}/${repo}`] : [kind];
   }
   
   /**
-   * Check if we're within rate limits
+   * Count a cache read as a hit, a revalidation GitHub answered with 304, or a miss,
+   * and note it on the cache lookup's span
    */
-  _checkRateLimit() {
-    const now = Date.now();
+  _recordCacheRead(cacheKey, outcome) {
+    const prefix = cacheKey.slice(0, cacheKey.indexOf(':'));
     
-    // Remove timestamps older than the window
-    this.requestTimestamps = this.requestTimestamps.filter(
-      timestamp => now - timestamp < this.rateLimitWindow
-    );
+    if (!this.cacheReads.has(prefix)) {
+      this.cacheReads.set(prefix, { hits: 0, revalidated: 0, misses: 0 });
+    }
+    this.cacheReads.get(prefix)[outcome]++;
+    metrics.cacheReads.inc({ prefix, outcome: CACHE_READ_OUTCOMES[outcome] });
+    tracing.annotate({ 'cache.hit': outcome !== 'misses', 'cache.outcome': CACHE_READ_OUTCOMES[outcome] });
+  }
+  
+  /**
+   * Read a cache entry, treating a failing cache backend as a miss
+   */
+  async _cacheGet(cacheKey) {
+    try {
+      return await this.cache.get(cacheKey);
+    } catch (error) {
+      logger.warn('Cache read failed', { cacheKey, error: error.message });
+      return undefined;
+    }
+  }
+  
+  /**
+   * Write a cache entry, logging rather than failing when the cache backend does
+   */
+  async _cacheSet(cacheKey, value, options) {
+    try {
+      await this.cache.set(cacheKey, value, options);
+    } catch (error) {
+      logger.warn('Cache write failed', { cacheKey, error: error.message });
+    }
+  }
+  
+  /**
+   * Serve a GitHub API read from the cache. Expired entries are revalidated with a
+   * conditional request, which GitHub doesn't count against the rate limit when nothing
+   * changed. request receives the conditional headers to send.
+   */
+  async _cachedRequest(key, description, context, request, select = response => response.data) {
+    const cacheKey = this._cacheKey(key);
+    const attributes = { 'cache.key': key, ...tracing.repositoryAttributes(context) };
     
-    // Check if we've reached the limit
-    if (this.requestTimestamps.length >= this.rateLimitMax) {
-      const oldestTimestamp = this.requestTimestamps[0];
-      const resetTime = oldestTimestamp + this.rateLimitWindow;
-      const waitTime = resetTime - now;
+    return tracing.withSpan(`cache ${key.slice(0, key.indexOf(':'))}`, { attributes }, async span => {
+      const entry = await this._cacheGet(cacheKey);
+      const age = entry ? Date.now() - entry.fetchedAt : Infinity;
       
-      throw new Error(`Rate limit exceeded. Try again in ${Math.ceil(waitTime / 1000)} seconds.`);
+      if (age < this.cacheTtl) {
+        logger.debug('Cache hit', { cacheKey, ...context });
+        this._recordCacheRead(cacheKey, 'hits');
+        return entry.data;
+      }
+      
+      if (age < this.cacheTtl + this.staleWhileRevalidate) {
+        this._recordCacheRead(cacheKey, 'hits');
+        span.setAttribute('cache.stale', true);
+        logger.debug('Serving stale cache entry while revalidating', { cacheKey, ...context });
+        this._revalidate(cacheKey, entry, description, context, request, select).catch(error => {
+          logger.warn('Background revalidation failed', { cacheKey, error: error.message });
+        });
+        return entry.data;
+      }
+      
+      return this._revalidate(cacheKey, entry, description, context, request, select);
+    });
+  }
+  
+  /**
+   * Fetch a cache entry, conditionally when an expired entry has an ETag or Last-Modified
+   */
+  _revalidate(cacheKey, entry, description, context, request, select) {
+    if (this.revalidations.has(cacheKey)) {
+      return this.revalidations.get(cacheKey);
+    }
+    
+    const headers = {};
+    if (entry && entry.etag) {
+      headers['if-none-match'] = entry.etag;
     }
+    if (entry && entry.lastModified) {
+      headers['if-modified-since'] = entry.lastModified;
+    }
+    
+    const revalidation = this._request(
+      description,
+      context,
+      octokit => request(octokit, headers),
+      response => {
+        this._recordCacheRead(cacheKey, 'misses');
+        return { data: select(response), etag: response.headers.etag, lastModified: response.headers['last-modified'] };
+      }
+    )
+      .catch(error => {
+        if (error.status !== 304) {
+          throw error;
+        }
+        
+        logger.debug('Cache entry not modified', { cacheKey, ...context });
+        this._recordCacheRead(cacheKey, 'revalidated');
+        return { data: entry.data, etag: entry.etag, lastModified: entry.lastModified };
+      })
+      .then(async fetched => {
+        await this._cacheSet(
+          cacheKey,
+          { ...fetched, fetchedAt: Date.now() },
+          { ttl: this.cacheMaxAge, tags: this._cacheTags(cacheKey, context) }
+        );
+        return fetched.data;
+      })
+      .finally(() => {
+        this.revalidations.delete(cacheKey);
+      });
     
-    // Add current timestamp
-    this.requestTimestamps.push(now);
+    this.revalidations.set(cacheKey, revalidation);
+    return revalidation;
   }
   
   /**
-   * Get repository contents
+   * Read a paginated list endpoint one cached page at a time.
+   * Starts at the cursor (or page) and returns that page, or with maxItems follows
+   * Link headers until that many items are collected. nextCursor is set when more remain.
    */
-  async getRepositoryContents(owner, repo, path = '') {
-    const cacheKey = `contents:${owner}/${repo}/${path}`;
+  async _paginate(cacheKey, description, context, options, request, pick = data => data) {
+    const { cursor, maxItems, page: firstPage = 1, per_page: firstPerPage = 30, ...filters } = options;
+    let position = cursor ? decodeCursor(cursor) : { page: firstPage, perPage: firstPerPage, offset: 0 };
+    const items = [];
     
-    // Check cache
-    if (this.cache.has(cacheKey)) {
-      logger.debug('Cache hit for repository contents', { owner, repo, path });
-      return this.cache.get(cacheKey);
+    while (position) {
+      const { page, perPage, offset } = position;
+      const { data, nextPage } = await this._cachedRequest(
+        `${cacheKey}:${JSON.stringify(filters)}:${perPage}:${page}`,
+        description,
+        { ...context, filters, page, perPage },
+        (octokit, headers) => request(octokit, { ...filters, page, per_page: perPage, headers }),
+        response => ({ data: response.data, nextPage: nextPageFromLink(response.headers.link) })
+      );
+      
+      const pageItems = pick(data).slice(offset);
+      const wanted = maxItems ? maxItems - items.length : pageItems.length;
+      items.push(...pageItems.slice(0, wanted));
+      
+      // Stopped part-way through the page; the cursor resumes from the first item not returned
+      if (wanted < pageItems.length) {
+        position = { page, perPage, offset: offset + wanted };
+        break;
+      }
+      
+      position = nextPage ? { page: nextPage, perPage, offset: 0 } : null;
+      
+      if (!maxItems || items.length >= maxItems) {
+        break;
+      }
     }
     
-    // Check rate limit
-    this._checkRateLimit();
+    return {
+      items,
+      nextCursor: position ? encodeCursor(position) : undefined
+    };
+  }
+  
+  /**
+   * Leave out the changed files whose paths the policy doesn't allow. Cached responses are
+   * shared, so this returns a copy rather than changing the response.
+   */
+  _filterFiles(data) {
+    return data.files ? { ...data, files: policy.filterPaths(data.files, file => file.filename) } : data;
+  }
+  
+  /**
+   * Drop the cached entries of the given kinds for a repository, for every caller.
+   * The change has already been made, so a failing cache backend is logged rather than thrown.
+   */
+  async _invalidate(owner, repo, kinds, tags = []) {
+    const allTags = [...kinds.map(kind => `${kind}:${owner}/${repo}`), ...tags];
     
     try {
-      logger.debug('Fetching repository contents', { owner, repo, path });
+      const count = await this.cache.invalidateTags(allTags);
+      logger.debug('Cache invalidated', { owner, repo, kinds, count });
+    } catch (error) {
+      logger.error('Error invalidating cache', { error: error.message, owner, repo, kinds });
+    }
+  }
+  
+  /**
+   * Drop cached issue lists, issues, comments and issue searches after a change to a repository's issues
+   */
+  _invalidateIssues(owner, repo) {
+    return this._invalidate(owner, repo, ['issues', 'issue', 'issue-comments'], ['search-issues']);
+  }
+  
+  /**
+   * Drop cached pull request lists, pull requests and their reviews after a change to a repository's pull requests
+   */
+  _invalidatePulls(owner, repo) {
+    return this._invalidate(
+      owner,
+      repo,
+      ['pulls', 'pull', 'pull-files', 'pull-diff', 'review-comments'],
+      ['search-issues']
+    );
+  }
+  
+  /**
+   * Drop what a push can change: branch heads, contents read from the default branch,
+   * commit lists, blame of HEAD, and pull requests whose head branch moved
+   */
+  _invalidateBranches(owner, repo) {
+    return this._invalidate(
+      owner,
+      repo,
+      ['ref', 'contents', 'commits', 'blame', 'pulls', 'pull', 'pull-files', 'pull-diff']
+    );
+  }
+  
+  /**
+   * Get repository metadata
+   */
+  async getRepository(owner, repo) {
+    return this._cachedRequest(
+      `repo:${owner}/${repo}`,
+      'Fetching repository',
+      { owner, repo },
+      (octokit, headers) => octokit.rest.repos.get({ owner, repo, headers })
+    );
+  }
+  
+  /**
+   * Get the name of the repository's default branch
+   */
+  async getDefaultBranch(owner, repo) {
+    const repository = await this.getRepository(owner, repo);
+    return repository.default_branch;
+  }
+  
+  /**
+   * Resolve a branch, tag or commit to its full commit SHA
+   */
+  async resolveRef(owner, repo, ref) {
+    if (/^[0-9a-f]{40}$/i.test(ref)) {
+      return ref.toLowerCase();
+    }
+    
+    const key = `ref:${owner}/${repo}:${ref}`;
+    const cacheKey = this._cacheKey(key);
+    const attributes = { 'cache.key': key, ...tracing.repositoryAttributes({ owner, repo }) };
+    
+    return tracing.withSpan('cache ref', { attributes }, async () => {
+      if (this.refCacheTtl > 0) {
+        const cached = await this._cacheGet(cacheKey);
+        if (cached !== undefined) {
+          logger.debug('Cache hit', { cacheKey, owner, repo, ref });
+          this._recordCacheRead(cacheKey, 'hits');
+          return cached;
+        }
+      }
       
-      const response = await this.octokit.rest.repos.getContent({
-        owner,
-        repo,
-        path
-      });
+      const sha = await this._request(
+        'Resolving ref',
+        { owner, repo, ref },
+        octokit => octokit.rest.repos.getCommit({ owner, repo, ref, mediaType: { format: 'sha' } })
+      );
       
-      // Cache response
-      this.cache.set(cacheKey, response.data);
+      if (this.refCacheTtl > 0) {
+        this._recordCacheRead(cacheKey, 'misses');
+        await this._cacheSet(cacheKey, sha, { ttl: this.refCacheTtl, tags: this._cacheTags(cacheKey, { owner, repo }) });
+      }
       
-      return response.data;
-    } catch (error) {
-      logger.error('Error fetching repository contents', { error: error.message, owner, repo, path });
-      throw error;
+      return sha;
+    });
+  }
+  
+  /**
+   * Get repository contents, from the default branch unless a ref is given.
+   * Directory listings leave out, and files refuse, paths the policy doesn't allow.
+   */
+  async getRepositoryContents(owner, repo, path = '', ref) {
+    let contents;
+    
+    if (!ref) {
+      contents = await this._cachedRequest(
+        `contents:${owner}/${repo}/${path}`,
+        'Fetching repository contents',
+        { owner, repo, path },
+        (octokit, headers) => octokit.rest.repos.getContent({ owner, repo, path, headers })
+      );
+    } else {
+      // Key on the commit so a moved branch never returns content cached for its old head
+      const sha = await this.resolveRef(owner, repo, ref);
+      
+      contents = await this._cachedRequest(
+        `contents:${owner}/${repo}@${sha}/${path}`,
+        'Fetching repository contents',
+        { owner, repo, path, ref, sha },
+        (octokit, headers) => octokit.rest.repos.getContent({ owner, repo, path, ref: sha, headers })
+      );
+    }
+    
+    if (Array.isArray(contents)) {
+      return policy.filterPaths(contents, item => item.path);
     }
+    
+    policy.checkFile(owner, repo, contents.path);
+    return contents;
   }
   
   /**
-   * Get file content
+   * Get file content, or for a binary file just its metadata and MIME type.
+   * Text is limited to lines startLine to endLine and to maxBytes (FILE_MAX_BYTES unless given);
+   * a cut result has truncated set with the bytes and lines left out.
    */
-  async getFileContent(owner, repo, path) {
-    const contents = await this.getRepositoryContents(owner, repo, path);
+  async getFileContent(owner, repo, path, ref, { startLine, endLine, maxBytes = this.fileMaxBytes } = {}) {
+    policy.checkFile(owner, repo, path);
+    const contents = await this.getRepositoryContents(owner, repo, path, ref);
     
     if (Array.isArray(contents)) {
       throw new Error(`Path '${path}' is a directory, not a file`);
@@ -111,177 +467,755 @@ class GitHubClient {
       throw new Error(`Path '${path}' is not a file`);
     }
     
-    // Decode content from base64
-    const content = Buffer.from(contents.content, 'base64').toString('utf8');
-    
-    return {
-      content,
+    const file = {
       sha: contents.sha,
       size: contents.size,
       name: contents.name,
       path: contents.path,
       url: contents.html_url
     };
+    
+    // The contents API leaves out the content of files over 1 MB, which the blob API still returns.
+    // Large files whose name says they are binary aren't downloaded at all, and the others are
+    // downloaded each time rather than cached whole when only a slice of them is returned.
+    const large = contents.encoding === 'none' || (contents.content === '' && contents.size > 0);
+    if (large && isBinaryType(contents.path)) {
+      return { ...file, isBinary: true, mimeType: mimeTypeOf(contents.path, true) };
+    }
+    
+    const buffer = large
+      ? await this.getBlobBuffer(owner, repo, contents.sha, { cache: false })
+      : Buffer.from(contents.content, 'base64');
+    
+    if (isBinary(buffer)) {
+      return { ...file, isBinary: true, mimeType: mimeTypeOf(contents.path, true) };
+    }
+    
+    return {
+      ...file,
+      isBinary: false,
+      mimeType: mimeTypeOf(contents.path, false),
+      ...sliceText(buffer.toString('utf8'), { startLine, endLine, maxBytes })
+    };
   }
   
   /**
-   * Search code in repository
+   * Get whether an account is a user or an organization
    */
-  async searchCode(owner, repo, query) {
-    const cacheKey = `search:${owner}/${repo}:${query}`;
+  async getAccountType(owner) {
+    const account = await this._cachedRequest(
+      `account:${owner}`,
+      'Fetching account',
+      { owner },
+      (octokit, headers) => octokit.rest.users.getByUsername({ username: owner, headers })
+    );
     
-    // Check cache
-    if (this.cache.has(cacheKey)) {
-      logger.debug('Cache hit for code search', { owner, repo, query });
-      return this.cache.get(cacheKey);
-    }
+    return account.type;
+  }
+  
+  /**
+   * Get a blob's bytes by SHA. Blobs never change, so they are cached by SHA alone unless
+   * cache is false.
+   */
+  async getBlobBuffer(owner, repo, sha, { cache = true } = {}) {
+    const context = { owner, repo, sha };
+    const request = (octokit, headers) => octokit.rest.git.getBlob({ owner, repo, file_sha: sha, headers });
     
-    // Check rate limit
-    this._checkRateLimit();
+    const blob = cache
+      ? await this._cachedRequest(`blob:${owner}/${repo}:${sha}`, 'Fetching blob', context, request)
+      : await this._request('Fetching blob', context, octokit => request(octokit, {}));
     
-    try {
-      logger.debug('Searching code', { owner, repo, query });
-      
-      const response = await this.octokit.rest.search.code({
-        q: `repo:${owner}/${repo} ${query}`
-      });
-      
-      // Cache response
-      this.cache.set(cacheKey, response.data);
-      
-      return response.data;
-    } catch (error) {
-      logger.error('Error searching code', { error: error.message, owner, repo, query });
-      throw error;
-    }
+    return Buffer.from(blob.content, blob.encoding === 'base64' ? 'base64' : 'utf8');
+  }
+  
+  /**
+   * Get a blob's content by SHA as text
+   */
+  async getBlob(owner, repo, sha) {
+    return (await this.getBlobBuffer(owner, repo, sha)).toString('utf8');
+  }
+  
+  /**
+   * Search code, with the text fragments that matched
+   */
+  async searchCode(owner, query, options = {}) {
+    let totalCount = 0;
+    
+    const results = await this._paginate(
+      `search:${query}`,
+      'Searching code',
+      { owner, query },
+      options,
+      (octokit, params) => octokit.rest.search.code({ q: query, ...params, mediaType: { format: 'text-match' } }),
+      data => {
+        totalCount = data.total_count;
+        return data.items;
+      }
+    );
+    
+    // Matches in repositories or files the policy doesn't allow are left out
+    const items = policy.filterPaths(
+      policy.filterRepositories(results.items, item => item.repository.full_name),
+      item => item.path
+    );
+    
+    return { ...results, items, totalCount };
   }
   
   /**
    * Get repository issues
    */
   async getIssues(owner, repo, options = {}) {
-    const cacheKey = `issues:${owner}/${repo}:${JSON.stringify(options)}`;
+    return this._paginate(
+      `issues:${owner}/${repo}`,
+      'Fetching repository issues',
+      { owner, repo },
+      options,
+      (octokit, params) => octokit.rest.issues.listForRepo({ owner, repo, ...params })
+    );
+  }
+  
+  /**
+   * Search issues or pull requests across repositories, with the text fragments that matched.
+   * owner picks the credentials to search with and may be undefined.
+   */
+  async searchIssues(owner, query, options = {}) {
+    let totalCount = 0;
+    let incompleteResults = false;
     
-    // Check cache
-    if (this.cache.has(cacheKey)) {
-      logger.debug('Cache hit for repository issues', { owner, repo, options });
-      return this.cache.get(cacheKey);
-    }
+    const results = await this._paginate(
+      `search-issues:${query}`,
+      'Searching issues',
+      { owner, query },
+      options,
+      (octokit, params) => octokit.rest.search.issuesAndPullRequests({ q: query, ...params, mediaType: { format: 'text-match' } }),
+      data => {
+        totalCount = data.total_count;
+        incompleteResults = incompleteResults || data.incomplete_results;
+        return data.items;
+      }
+    );
     
-    // Check rate limit
-    this._checkRateLimit();
+    // Issues in repositories the policy doesn't allow are left out
+    const items = policy.filterRepositories(results.items, item => item.repository_url.split('/repos/')[1]);
     
-    try {
-      logger.debug('Fetching repository issues', { owner, repo, options });
+    return { ...results, items, totalCount, incompleteResults };
+  }
+  
+  /**
+   * Get a specific issue
+   */
+  async getIssue(owner, repo, issueNumber) {
+    return this._cachedRequest(
+      `issue:${owner}/${repo}:${issueNumber}`,
+      'Fetching issue',
+      { owner, repo, issueNumber },
+      (octokit, headers) => octokit.rest.issues.get({ owner, repo, issue_number: issueNumber, headers })
+    );
+  }
+  
+  /**
+   * Create an issue
+   */
+  async createIssue(owner, repo, title, body, labels = []) {
+    const issue = await this._request(
+      'Creating issue',
+      { owner, repo, title },
+      octokit => octokit.rest.issues.create({ owner, repo, title, body, labels })
+    );
+    
+    await this._invalidateIssues(owner, repo);
+    return issue;
+  }
+  
+  /**
+   * Comment on an issue
+   */
+  async commentOnIssue(owner, repo, issueNumber, body) {
+    const comment = await this._request(
+      'Commenting on issue',
+      { owner, repo, issueNumber },
+      octokit => octokit.rest.issues.createComment({ owner, repo, issue_number: issueNumber, body })
+    );
+    
+    await this._invalidateIssues(owner, repo);
+    return comment;
+  }
+  
+  /**
+   * Get the comments on an issue
+   */
+  async listIssueComments(owner, repo, issueNumber, options = {}) {
+    return this._paginate(
+      `issue-comments:${owner}/${repo}:${issueNumber}`,
+      'Fetching issue comments',
+      { owner, repo, issueNumber },
+      options,
+      (octokit, params) => octokit.rest.issues.listComments({ owner, repo, issue_number: issueNumber, ...params })
+    );
+  }
+  
+  /**
+   * Update an issue's title, body, state, assignees, labels or milestone
+   */
+  async updateIssue(owner, repo, issueNumber, changes) {
+    const issue = await this._request(
+      'Updating issue',
+      { owner, repo, issueNumber, fields: Object.keys(changes) },
+      octokit => octokit.rest.issues.update({ owner, repo, issue_number: issueNumber, ...changes })
+    );
+    
+    await this._invalidateIssues(owner, repo);
+    return issue;
+  }
+  
+  /**
+   * Add labels to an issue, keeping its existing labels
+   */
+  async addLabels(owner, repo, issueNumber, labels) {
+    const result = await this._request(
+      'Adding labels',
+      { owner, repo, issueNumber, labels },
+      octokit => octokit.rest.issues.addLabels({ owner, repo, issue_number: issueNumber, labels })
+    );
+    
+    await this._invalidateIssues(owner, repo);
+    return result;
+  }
+  
+  /**
+   * Remove a label from an issue
+   */
+  async removeLabel(owner, repo, issueNumber, name) {
+    const result = await this._request(
+      'Removing label',
+      { owner, repo, issueNumber, name },
+      octokit => octokit.rest.issues.removeLabel({ owner, repo, issue_number: issueNumber, name })
+    );
+    
+    await this._invalidateIssues(owner, repo);
+    return result;
+  }
+  
+  /**
+   * Lock an issue's conversation
+   */
+  async lockIssue(owner, repo, issueNumber, lockReason) {
+    await this._request(
+      'Locking issue',
+      { owner, repo, issueNumber, lockReason },
+      octokit => octokit.rest.issues.lock({ owner, repo, issue_number: issueNumber, lock_reason: lockReason })
+    );
+    
+    await this._invalidateIssues(owner, repo);
+  }
+  
+  /**
+   * Get repository pull requests
+   */
+  async listPullRequests(owner, repo, options = {}) {
+    return this._paginate(
+      `pulls:${owner}/${repo}`,
+      'Fetching pull requests',
+      { owner, repo },
+      options,
+      (octokit, params) => octokit.rest.pulls.list({ owner, repo, ...params })
+    );
+  }
+  
+  /**
+   * Get a specific pull request
+   */
+  async getPullRequest(owner, repo, pullNumber) {
+    return this._cachedRequest(
+      `pull:${owner}/${repo}:${pullNumber}`,
+      'Fetching pull request',
+      { owner, repo, pullNumber },
+      (octokit, headers) => octokit.rest.pulls.get({ owner, repo, pull_number: pullNumber, headers })
+    );
+  }
+  
+  /**
+   * Get the files changed by a pull request
+   */
+  async getPullRequestFiles(owner, repo, pullNumber, options = {}) {
+    const results = await this._paginate(
+      `pull-files:${owner}/${repo}:${pullNumber}`,
+      'Fetching pull request files',
+      { owner, repo, pullNumber },
+      options,
+      (octokit, params) => octokit.rest.pulls.listFiles({ owner, repo, pull_number: pullNumber, ...params })
+    );
+    
+    return { ...results, items: policy.filterPaths(results.items, file => file.filename) };
+  }
+  
+  /**
+   * Get the unified diff of a pull request
+   */
+  async getPullRequestDiff(owner, repo, pullNumber) {
+    const diff = await this._cachedRequest(
+      `pull-diff:${owner}/${repo}:${pullNumber}`,
+      'Fetching pull request diff',
+      { owner, repo, pullNumber },
+      (octokit, headers) => octokit.rest.pulls.get({ owner, repo, pull_number: pullNumber, mediaType: { format: 'diff' }, headers })
+    );
+    
+    return policy.filterDiff(diff);
+  }
+  
+  /**
+   * Get the review comments on a pull request
+   */
+  async listReviewComments(owner, repo, pullNumber, options = {}) {
+    const results = await this._paginate(
+      `review-comments:${owner}/${repo}:${pullNumber}`,
+      'Fetching review comments',
+      { owner, repo, pullNumber },
+      options,
+      (octokit, params) => octokit.rest.pulls.listReviewComments({ owner, repo, pull_number: pullNumber, ...params })
+    );
+    
+    return { ...results, items: policy.filterPaths(results.items, comment => comment.path) };
+  }
+  
+  /**
+   * Create a review on a pull request
+   */
+  async createPullRequestReview(owner, repo, pullNumber, review) {
+    const result = await this._request(
+      'Creating pull request review',
+      { owner, repo, pullNumber, event: review.event },
+      octokit => octokit.rest.pulls.createReview({ owner, repo, pull_number: pullNumber, ...review })
+    );
+    
+    await this._invalidatePulls(owner, repo);
+    return result;
+  }
+  
+  /**
+   * Get repository commits, optionally filtered by ref, path, author and date range
+   */
+  async listCommits(owner, repo, options = {}) {
+    return this._paginate(
+      `commits:${owner}/${repo}`,
+      'Fetching commits',
+      { owner, repo },
+      options,
+      (octokit, params) => octokit.rest.repos.listCommits({ owner, repo, ...params })
+    );
+  }
+  
+  /**
+   * Get a commit with its changed files
+   */
+  async getCommit(owner, repo, ref) {
+    const sha = await this.resolveRef(owner, repo, ref);
+    
+    const commit = await this._cachedRequest(
+      `commit:${owner}/${repo}:${sha}`,
+      'Fetching commit',
+      { owner, repo, ref, sha },
+      (octokit, headers) => octokit.rest.repos.getCommit({ owner, repo, ref: sha, headers })
+    );
+    
+    return this._filterFiles(commit);
+  }
+  
+  /**
+   * Compare two refs, returning the commits and files between them
+   */
+  async compareRefs(owner, repo, base, head) {
+    const [baseSha, headSha] = await Promise.all([
+      this.resolveRef(owner, repo, base),
+      this.resolveRef(owner, repo, head)
+    ]);
+    
+    const comparison = await this._cachedRequest(
+      `compare:${owner}/${repo}:${baseSha}...${headSha}`,
+      'Comparing refs',
+      { owner, repo, base, head },
+      (octokit, headers) => octokit.rest.repos.compareCommitsWithBasehead({ owner, repo, basehead: `${baseSha}...${headSha}`, headers })
+    );
+    
+    return this._filterFiles(comparison);
+  }
+  
+  /**
+   * Get a git tree, or a commit's tree by the commit SHA, with every entry beneath it when
+   * recursive. Trees never change, so they are cached by SHA alone.
+   */
+  async getTree(owner, repo, sha, recursive = false) {
+    return this._cachedRequest(
+      `tree:${owner}/${repo}:${sha}${recursive ? ':recursive' : ''}`,
+      'Fetching tree',
+      { owner, repo, sha, recursive },
+      (octokit, headers) => octokit.rest.git.getTree({ owner, repo, tree_sha: sha, ...(recursive ? { recursive: '1' } : {}), headers })
+    );
+  }
+  
+  /**
+   * List a tree one directory at a time, level by level down to depth, for trees too large
+   * for GitHub to list recursively. Directories beyond TREE_WALK_MAX_REQUESTS are skipped.
+   */
+  async _walkTree(owner, repo, sha, depth) {
+    const entries = [];
+    const skippedDirectories = [];
+    let level = [{ sha, path: '' }];
+    let requests = 0;
+    
+    for (let current = 1; level.length > 0; current++) {
+      const directories = level.slice(0, TREE_WALK_MAX_REQUESTS - requests);
+      skippedDirectories.push(...level.slice(directories.length).map(directory => directory.path));
+      requests += directories.length;
       
-      const response = await this.octokit.rest.issues.listForRepo({
-        owner,
-        repo,
-        ...options
-      });
+      const trees = await mapWithConcurrency(directories, TREE_WALK_CONCURRENCY, directory => this.getTree(owner, repo, directory.sha));
       
-      // Cache response
-      this.cache.set(cacheKey, response.data);
+      level = [];
+      trees.forEach((tree, index) => {
+        for (const item of tree.tree) {
+          const path = directories[index].path ? `${directories[index].path}/${item.path}` : item.path;
+          entries.push({ ...item, path });
+          
+          if (item.type === 'tree' && (!depth || current < depth)) {
+            level.push({ sha: item.sha, path });
+          }
+        }
+      });
+    }
+    
+    return { entries, skippedDirectories };
+  }
+  
+  /**
+   * List the files and directories under a path, from the default branch unless a ref is given.
+   * Entries deeper than depth levels below the path, not matching an include glob or matching
+   * an exclude glob, or not allowed by the policy are left out, and at most maxEntries are returned.
+   */
+  async getRepositoryTree(owner, repo, { ref, path = '', depth, include = [], exclude = [], maxEntries } = {}) {
+    const commitSha = await this.resolveRef(owner, repo, ref || 'HEAD');
+    const segments = path.split('/').filter(Boolean);
+    
+    // Find the path's tree one directory at a time; every tree on the way is cached by SHA
+    let treeSha = commitSha;
+    for (const [index, name] of segments.entries()) {
+      const { tree } = await this.getTree(owner, repo, treeSha);
+      const entry = tree.find(item => item.path === name);
       
-      return response.data;
-    } catch (error) {
-      logger.error('Error fetching repository issues', { error: error.message, owner, repo, options });
-      throw error;
+      if (!entry || entry.type !== 'tree') {
+        throw new Error(`Path '${segments.slice(0, index + 1).join('/')}' is not a directory in ${owner}/${repo}`);
+      }
+      treeSha = entry.sha;
+    }
+    
+    // GitHub truncates recursive listings of very large trees; those are walked instead
+    const listing = await this.getTree(owner, repo, treeSha, depth !== 1);
+    if (listing.truncated) {
+      logger.info('Tree too large to list at once, listing it by directory', { owner, repo, path, commitSha });
     }
+    
+    const { entries: items, skippedDirectories } = listing.truncated
+      ? await this._walkTree(owner, repo, treeSha, depth)
+      : { entries: listing.tree, skippedDirectories: [] };
+    
+    const prefix = segments.length > 0 ? `${segments.join('/')}/` : '';
+    const included = include.length > 0 ? picomatch(include, { dot: true }) : () => true;
+    const excluded = exclude.length > 0 ? picomatch(exclude, { dot: true }) : () => false;
+    
+    const entries = policy.filterPaths(
+      items
+        .filter(item => !depth || item.path.split('/').length <= depth)
+        .map(item => ({
+          path: prefix + item.path,
+          type: TREE_ENTRY_TYPES[item.mode] || 'file',
+          size: item.size,
+          sha: item.sha
+        }))
+        .filter(entry => included(entry.path) && !excluded(entry.path)),
+      entry => entry.path
+    ).sort((a, b) => (a.path < b.path ? -1 : 1));
+    
+    const limit = maxEntries || entries.length;
+    
+    return {
+      commitSha,
+      entries: entries.slice(0, limit),
+      totalEntries: entries.length,
+      truncated: entries.length > limit,
+      skippedDirectories: skippedDirectories.map(directory => prefix + directory)
+    };
   }
   
   /**
-   * Get a specific issue
+   * Get blame ranges for a file through the GraphQL API
    */
-  async getIssue(owner, repo, issueNumber) {
-    const cacheKey = `issue:${owner}/${repo}:${issueNumber}`;
+  async getBlame(owner, repo, path, ref) {
+    policy.checkFile(owner, repo, path);
+    const expression = ref ? await this.resolveRef(owner, repo, ref) : 'HEAD';
+    
+    const data = await this._cachedRequest(
+      `blame:${owner}/${repo}@${expression}:${path}`,
+      'Fetching blame',
+      { owner, repo, path, ref },
+      octokit => octokit.graphql(BLAME_QUERY, { owner, repo, expression, path }).then(data => ({ data }))
+    );
     
-    // Check cache
-    if (this.cache.has(cacheKey)) {
-      logger.debug('Cache hit for issue', { owner, repo, issueNumber });
-      return this.cache.get(cacheKey);
+    if (!data.repository || !data.repository.object) {
+      throw new Error(`Ref '${ref || 'HEAD'}' not found in ${owner}/${repo}`);
     }
     
-    // Check rate limit
-    this._checkRateLimit();
+    return data.repository.object;
+  }
+  
+  /**
+   * Create a branch pointing at a ref (the default branch unless given)
+   */
+  async createBranch(owner, repo, branch, fromRef) {
+    const sha = await this.resolveRef(owner, repo, fromRef || await this.getDefaultBranch(owner, repo));
     
     try {
-      logger.debug('Fetching issue', { owner, repo, issueNumber });
-      
-      const response = await this.octokit.rest.issues.get({
-        owner,
-        repo,
-        issue_number: issueNumber
-      });
-      
-      // Cache response
-      this.cache.set(cacheKey, response.data);
-      
-      return response.data;
+      return await this._request(
+        'Creating branch',
+        { owner, repo, branch, sha },
+        octokit => octokit.rest.git.createRef({ owner, repo, ref: `refs/heads/${branch}`, sha })
+      );
     } catch (error) {
-      logger.error('Error fetching issue', { error: error.message, owner, repo, issueNumber });
+      if (error.status === 422) {
+        throw new ConflictError(`Branch '${branch}' already exists in ${owner}/${repo}`);
+      }
       throw error;
     }
   }
   
   /**
-   * Create an issue
+   * Create a file, or update it when expectedSha matches its current blob SHA
    */
-  async createIssue(owner, repo, title, body, labels = []) {
-    // Check rate limit
-    this._checkRateLimit();
+  async createOrUpdateFile(owner, repo, path, { content, encoding = 'utf-8', message, branch, expectedSha }) {
+    let result;
+    try {
+      result = await this._request(
+        expectedSha ? 'Updating file' : 'Creating file',
+        { owner, repo, path, branch, expectedSha },
+        octokit => octokit.rest.repos.createOrUpdateFileContents({
+          owner,
+          repo,
+          path,
+          message,
+          branch,
+          sha: expectedSha,
+          content: encoding === 'base64' ? content : Buffer.from(content, 'utf8').toString('base64')
+        })
+      );
+    } catch (error) {
+      // GitHub rejects a stale SHA with 409 and a missing SHA for an existing file with 422
+      if (error.status === 409 || (error.status === 422 && /sha/i.test(error.message))) {
+        throw new ConflictError(expectedSha
+          ? `File '${path}' has changed since blob ${expectedSha}; read it again before updating`
+          : `File '${path}' already exists; pass its current blob SHA as expectedSha to update it`);
+      }
+      throw error;
+    }
     
+    await this._invalidateBranches(owner, repo);
+    return result;
+  }
+  
+  /**
+   * Delete a file if its current blob SHA matches expectedSha
+   */
+  async deleteFile(owner, repo, path, { message, branch, expectedSha }) {
+    let result;
     try {
-      logger.debug('Creating issue', { owner, repo, title });
-      
-      const response = await this.octokit.rest.issues.create({
-        owner,
-        repo,
-        title,
-        body,
-        labels
-      });
-      
-      return response.data;
+      result = await this._request(
+        'Deleting file',
+        { owner, repo, path, branch, expectedSha },
+        octokit => octokit.rest.repos.deleteFile({ owner, repo, path, message, branch, sha: expectedSha })
+      );
     } catch (error) {
-      logger.error('Error creating issue', { error: error.message, owner, repo, title });
+      if (error.status === 409 || (error.status === 422 && /sha/i.test(error.message))) {
+        throw new ConflictError(`File '${path}' has changed since blob ${expectedSha}; read it again before deleting`);
+      }
       throw error;
     }
+    
+    await this._invalidateBranches(owner, repo);
+    return result;
   }
   
   /**
-   * Comment on an issue
+   * Commit changes to several files at once through the git data API. Each
+   * change is { path, content, encoding } or { path, delete: true }.
    */
-  async commentOnIssue(owner, repo, issueNumber, body) {
-    // Check rate limit
-    this._checkRateLimit();
+  async commitFiles(owner, repo, branch, message, changes, expectedHeadSha) {
+    const context = { owner, repo, branch, files: changes.length };
     
-    try {
-      logger.debug('Commenting on issue', { owner, repo, issueNumber });
+    // Read the branch head directly; a cached value could let us commit on a stale parent
+    const ref = await this._request(
+      'Fetching branch head',
+      context,
+      octokit => octokit.rest.git.getRef({ owner, repo, ref: `heads/${branch}` })
+    );
+    const headSha = ref.object.sha;
+    
+    if (expectedHeadSha && expectedHeadSha !== headSha) {
+      throw new ConflictError(`Branch '${branch}' is at ${headSha}, not the expected ${expectedHeadSha}`);
+    }
+    
+    const headCommit = await this._request(
+      'Fetching head commit',
+      context,
+      octokit => octokit.rest.git.getCommit({ owner, repo, commit_sha: headSha })
+    );
+    
+    const tree = await Promise.all(changes.map(async change => {
+      if (change.delete) {
+        return { path: change.path, mode: '100644', type: 'blob', sha: null };
+      }
       
-      const response = await this.octokit.rest.issues.createComment({
-        owner,
-        repo,
-        issue_number: issueNumber,
-        body
-      });
+      // Updated files keep their mode, so executables stay executable and symlinks stay links
+      const [mode, blob] = await Promise.all([
+        this._fileMode(owner, repo, headCommit.tree.sha, change.path),
+        this._request(
+          'Creating blob',
+          { ...context, path: change.path },
+          octokit => octokit.rest.git.createBlob({ owner, repo, content: change.content, encoding: change.encoding || 'utf-8' })
+        )
+      ]);
       
-      return response.data;
+      return { path: change.path, mode: mode || '100644', type: 'blob', sha: blob.sha };
+    }));
+    
+    const newTree = await this._request(
+      'Creating tree',
+      context,
+      octokit => octokit.rest.git.createTree({ owner, repo, base_tree: headCommit.tree.sha, tree })
+    );
+    
+    const commit = await this._request(
+      'Creating commit',
+      context,
+      octokit => octokit.rest.git.createCommit({ owner, repo, message, tree: newTree.sha, parents: [headSha] })
+    );
+    
+    try {
+      await this._request(
+        'Updating branch',
+        { ...context, sha: commit.sha },
+        octokit => octokit.rest.git.updateRef({ owner, repo, ref: `heads/${branch}`, sha: commit.sha, force: false })
+      );
     } catch (error) {
-      logger.error('Error commenting on issue', { error: error.message, owner, repo, issueNumber });
+      if (error.status === 422) {
+        throw new ConflictError(`Branch '${branch}' moved while committing; retry against its new head`);
+      }
       throw error;
     }
+    
+    await this._invalidateBranches(owner, repo);
+    return commit;
+  }
+  
+  /**
+   * Get the mode of the file at a path in a tree, or undefined when there is none. Trees are
+   * read one directory at a time, so this works for trees too large to list recursively.
+   */
+  async _fileMode(owner, repo, treeSha, path) {
+    const segments = path.split('/');
+    let sha = treeSha;
+    
+    for (const [index, segment] of segments.entries()) {
+      const tree = await this.getTree(owner, repo, sha);
+      const entry = tree.tree.find(item => item.path === segment);
+      
+      if (index === segments.length - 1) {
+        return entry && entry.type === 'blob' ? entry.mode : undefined;
+      }
+      if (!entry || entry.type !== 'tree') {
+        return undefined;
+      }
+      sha = entry.sha;
+    }
+  }
+  
+  /**
+   * Open a pull request
+   */
+  async createPullRequest(owner, repo, pullRequest) {
+    const base = pullRequest.base || await this.getDefaultBranch(owner, repo);
+    
+    const pull = await this._request(
+      'Creating pull request',
+      { owner, repo, head: pullRequest.head, base },
+      octokit => octokit.rest.pulls.create({ owner, repo, ...pullRequest, base })
+    );
+    
+    await this._invalidatePulls(owner, repo);
+    return pull;
+  }
+  
+  /**
+   * Get the cache backend's size, and entries, hits, revalidations and misses by key prefix.
+   * hitRatio is the share of reads answered from the cache, including 304 revalidations.
+   */
+  async getCacheStats() {
+    const [backend, keys] = await Promise.all([this.cache.stats(), this.cache.keys()]);
+    
+    const prefixes = {};
+    const prefix = name => {
+      prefixes[name] = prefixes[name] || { entries: 0, hits: 0, revalidated: 0, misses: 0 };
+      return prefixes[name];
+    };
+    
+    keys.forEach(key => prefix(key.slice(0, key.indexOf(':'))).entries++);
+    this.cacheReads.forEach((reads, name) => Object.assign(prefix(name), reads));
+    
+    const totals = Object.values(prefixes).reduce((sum, counts) => ({
+      hits: sum.hits + counts.hits,
+      revalidated: sum.revalidated + counts.revalidated,
+      misses: sum.misses + counts.misses
+    }), { hits: 0, revalidated: 0, misses: 0 });
+    const reads = totals.hits + totals.revalidated + totals.misses;
+    
+    return {
+      ...backend,
+      ...totals,
+      hitRatio: reads > 0 ? (totals.hits + totals.revalidated) / reads : null,
+      prefixes
+    };
+  }
+  
+  /**
+   * Evict the cached entries for a repository ('owner/repo') or whose keys start with a prefix,
+   * for every caller. Returns the number of entries evicted.
+   */
+  async evictCache({ repo, prefix }) {
+    let count = 0;
+    
+    if (repo) {
+      count += await this.cache.invalidateTags([repo]);
+    }
+    
+    if (prefix) {
+      const keys = (await this.cache.keys()).filter(key => key.startsWith(prefix));
+      await Promise.all(keys.map(key => this.cache.delete(key)));
+      count += keys.length;
+    }
+    
+    logger.info('Cache entries evicted', { repo, prefix, count });
+    return count;
   }
   
   /**
    * Clear cache
    */
-  clearCache() {
-    this.cache.clear();
+  async clearCache() {
+    await this.cache.clear();
     logger.info('Cache cleared');
   }
 }
 
 module.exports = new GitHubClient();
 
+// The class is exported for tests, which create clients that send requests with their own fetch
+module.exports.GitHubClient = GitHubClient;
+
 // Made with Bob
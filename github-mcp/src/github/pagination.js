@@ -0,0 +1,52 @@
+const { ValidationError } = require('../utils/errors');
+
+/**
+ * Encode a position in a paginated list as an opaque cursor
+ */
+function encodeCursor({ page, perPage, offset }) {
+  return Buffer.from(JSON.stringify({ p: page, n: perPage, o: offset })).toString('base64url');
+}
+
+/**
+ * Decode a cursor returned by a previous call, throwing a ValidationError for anything else
+ */
+function decodeCursor(cursor) {
+  let position;
+  try {
+    position = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+  } catch (error) {
+    position = null;
+  }
+
+  const { p: page, n: perPage, o: offset } = position || {};
+  if (!Number.isInteger(page) || page < 1 ||
+    !Number.isInteger(perPage) || perPage < 1 || perPage > 100 ||
+    !Number.isInteger(offset) || offset < 0 || offset >= perPage) {
+    throw new ValidationError('Invalid cursor', [
+      { field: 'cursor', message: 'is not a cursor returned by this server' }
+    ]);
+  }
+
+  return { page, perPage, offset };
+}
+
+/**
+ * Get the page number of the rel="next" link in a GitHub Link header, or null on the last page
+ */
+function nextPageFromLink(link) {
+  const match = link && link.match(/<([^>]+)>;\s*rel="next"/);
+  if (!match) {
+    return null;
+  }
+
+  const page = new URL(match[1]).searchParams.get('page');
+  return page ? parseInt(page) : null;
+}
+
+module.exports = {
+  encodeCursor,
+  decodeCursor,
+  nextPageFromLink
+};
+
+// Made with Bob
@@ -0,0 +1,100 @@
+/**
+ * Build GitHub search query strings from structured filters
+ */
+
+/**
+ * Quote a qualifier value when it contains spaces or search syntax.
+ * GitHub search has no escape for '"', so quotes inside values are dropped.
+ */
+function quote(value) {
+  const text = String(value).replace(/"/g, '');
+  return /[\s:(),]/.test(text) ? `"${text}"` : text;
+}
+
+/**
+ * Compile a date range into a qualifier such as created:2024-01-01..2024-03-31
+ */
+function dateRange(qualifier, { from, to } = {}) {
+  if (from && to) {
+    return `${qualifier}:${from}..${to}`;
+  }
+  if (from) {
+    return `${qualifier}:>=${from}`;
+  }
+  if (to) {
+    return `${qualifier}:<=${to}`;
+  }
+  return null;
+}
+
+/**
+ * Compile issue and pull request search filters into a query string.
+ * Without a type both are searched; assignee 'none' finds unassigned issues.
+ */
+function buildIssueQuery({ text, type, state, org, repos = [], labels = [], author, assignee, created, updated }) {
+  const terms = [];
+
+  if (type) {
+    terms.push(type === 'pr' ? 'is:pr' : 'is:issue');
+  }
+
+  if (state) {
+    terms.push(`state:${state}`);
+  }
+  if (org) {
+    terms.push(`org:${org}`);
+  }
+  repos.forEach(repo => terms.push(`repo:${repo}`));
+  labels.forEach(label => terms.push(`label:${quote(label)}`));
+  if (author) {
+    terms.push(`author:${author}`);
+  }
+  if (assignee === 'none') {
+    terms.push('no:assignee');
+  } else if (assignee) {
+    terms.push(`assignee:${assignee}`);
+  }
+
+  terms.push(dateRange('created', created), dateRange('updated', updated));
+
+  if (text) {
+    terms.push(text);
+  }
+
+  return terms.filter(Boolean).join(' ');
+}
+
+/**
+ * Compile code search filters into a query string. Searches one repository when repo is
+ * given, otherwise everything owned by the user or organization.
+ */
+function buildCodeQuery({ text, owner, ownerType, repo, language, path, extension, filename }) {
+  const terms = [text];
+
+  if (repo) {
+    terms.push(`repo:${owner}/${repo}`);
+  } else {
+    terms.push(`${ownerType === 'Organization' ? 'org' : 'user'}:${owner}`);
+  }
+  if (language) {
+    terms.push(`language:${quote(language)}`);
+  }
+  if (path) {
+    terms.push(`path:${quote(path)}`);
+  }
+  if (extension) {
+    terms.push(`extension:${extension}`);
+  }
+  if (filename) {
+    terms.push(`filename:${quote(filename)}`);
+  }
+
+  return terms.join(' ');
+}
+
+module.exports = {
+  buildIssueQuery,
+  buildCodeQuery
+};
+
+// Made with Bob
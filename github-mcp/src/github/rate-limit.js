@@ -0,0 +1,284 @@
+const { ToolError } = require('../utils/errors');
+const requestContext = require('../utils/request-context');
+const metrics = require('../utils/metrics');
+const tracing = require('../utils/tracing');
+const logger = require('../utils/logger');
+
+// GitHub asks clients to wait at least a minute after a secondary rate limit without retry-after
+const SECONDARY_BACKOFF_BASE = 60000;
+
+/**
+ * Wait for a number of milliseconds
+ */
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Guess which rate limit resource a request counts against before GitHub tells us
+ */
+function resourceFor(url) {
+  if (url.startsWith('/search/code')) {
+    return 'code_search';
+  }
+  if (url.startsWith('/search/')) {
+    return 'search';
+  }
+  if (url.startsWith('/graphql')) {
+    return 'graphql';
+  }
+  return 'core';
+}
+
+/**
+ * Check whether an error is GitHub refusing a request because of a rate limit
+ */
+function isRateLimitError(error) {
+  if (!error.response || (error.status !== 403 && error.status !== 429)) {
+    return false;
+  }
+
+  const headers = error.response.headers;
+  return error.status === 429 ||
+    headers['retry-after'] !== undefined ||
+    headers['x-ratelimit-remaining'] === '0' ||
+    /secondary rate limit/i.test(error.message);
+}
+
+/**
+ * Schedules GitHub requests against the rate limit budget GitHub reports for each token and
+ * resource (core, search, code_search, graphql). Requests wait for the budget to reset rather
+ * than fail, and rate-limited requests are retried after retry-after or a jittered backoff.
+ * Nothing waits longer than maxWait.
+ */
+class RateLimitScheduler {
+  constructor({ maxWait, maxRetries }) {
+    this.maxWait = maxWait;
+    this.maxRetries = maxRetries;
+
+    // Budgets by token key, then by resource
+    this.budgets = new Map();
+  }
+
+  /**
+   * Route every request an Octokit makes through the scheduler. key identifies the token.
+   */
+  attach(octokit, key) {
+    octokit.hook.wrap('request', (request, options) => this.schedule(key, options, request));
+    return octokit;
+  }
+
+  /**
+   * Drop the budgets of a token that is no longer used
+   */
+  forget(key) {
+    this.budgets.delete(key);
+  }
+
+  /**
+   * Get the budget for a token and resource, creating an unknown one on first use
+   */
+  _budget(key, resource) {
+    if (!this.budgets.has(key)) {
+      this.budgets.set(key, new Map());
+    }
+
+    const budgets = this.budgets.get(key);
+    if (!budgets.has(resource)) {
+      budgets.set(resource, { resource, limit: null, remaining: null, reset: null });
+    }
+
+    return budgets.get(resource);
+  }
+
+  /**
+   * Record the budget from a response's rate limit headers, and report it to the tool call
+   * being handled
+   */
+  _update(key, resource, headers) {
+    if (headers['x-ratelimit-remaining'] === undefined) {
+      return;
+    }
+
+    const budget = this._budget(key, headers['x-ratelimit-resource'] || resource);
+    budget.limit = parseInt(headers['x-ratelimit-limit']);
+    budget.remaining = parseInt(headers['x-ratelimit-remaining']);
+    budget.reset = parseInt(headers['x-ratelimit-reset']) * 1000;
+    // Callers' tokens share one label value so pass-through doesn't add a series per caller
+    const credential = key.startsWith('caller:') ? 'caller' : key;
+    metrics.rateLimitRemaining.set({ credential, resource: budget.resource }, budget.remaining);
+    tracing.annotate({ 'github.rate_limit.remaining': budget.remaining });
+
+    const { rateLimits } = requestContext.get();
+    if (rateLimits) {
+      rateLimits[budget.resource] = {
+        limit: budget.limit,
+        remaining: budget.remaining,
+        reset: new Date(budget.reset).toISOString()
+      };
+    }
+  }
+
+  /**
+   * Wait until the budget allows another request, then take one from it
+   */
+  async _acquire(budget) {
+    while (budget.remaining !== null && budget.remaining <= 0) {
+      const wait = budget.reset - Date.now();
+
+      if (wait <= 0) {
+        // The window has reset; the next response tells us the new budget
+        budget.remaining = null;
+        break;
+      }
+
+      if (wait > this.maxWait) {
+        throw new ToolError(
+          `GitHub ${budget.resource} rate limit exhausted; it resets in ${Math.ceil(wait / 1000)} seconds`,
+          429,
+          'rate_limited'
+        );
+      }
+
+      logger.warn('GitHub rate limit exhausted, delaying request', { resource: budget.resource, wait });
+      tracing.annotate({ 'github.rate_limit.waited_ms': wait + 1000 });
+      await sleep(wait + 1000);
+    }
+
+    if (budget.remaining !== null) {
+      budget.remaining--;
+    }
+  }
+
+  /**
+   * How long to wait before retrying a rate-limited request, or null to give up
+   */
+  _retryDelay(error, attempt) {
+    if (!isRateLimitError(error) || attempt >= this.maxRetries) {
+      return null;
+    }
+
+    const headers = error.response.headers;
+    let delay;
+
+    if (headers['retry-after'] !== undefined) {
+      delay = parseInt(headers['retry-after']) * 1000;
+    } else if (headers['x-ratelimit-remaining'] === '0') {
+      // Primary limit: the retry waits in _acquire until the budget resets
+      delay = 0;
+    } else {
+      // Secondary limit without guidance: back off exponentially with jitter
+      delay = SECONDARY_BACKOFF_BASE * 2 ** attempt * (0.75 + Math.random() * 0.5);
+    }
+
+    return delay <= this.maxWait ? Math.max(delay, 0) : null;
+  }
+
+  /**
+   * Make a request once the budget allows, retrying it while GitHub rate-limits it.
+   * Every attempt is counted by endpoint (the route template, such as GET /repos/{owner}/{repo}) and status,
+   * and the whole call, waits and retries included, is traced as one client span.
+   */
+  async schedule(key, options, request) {
+    const resource = resourceFor(options.url);
+    const endpoint = `${options.method} ${options.url}`;
+    const attributes = {
+      'http.request.method': options.method,
+      'url.template': options.url,
+      'github.credential': key,
+      'github.rate_limit.resource': resource
+    };
+
+    return tracing.tracer.startActiveSpan(endpoint, { kind: tracing.SpanKind.CLIENT, attributes }, async span => {
+      try {
+        const response = await this._attempt(key, resource, endpoint, options, request, span);
+        span.setAttribute('http.response.status_code', response.status);
+        return response;
+      } catch (error) {
+        if (error.status) {
+          span.setAttribute('http.response.status_code', error.status);
+        }
+        // 304 Not Modified answers a conditional request; it isn't a failure
+        if (error.status !== 304) {
+          tracing.markError(span, error);
+        }
+        throw error;
+      } finally {
+        span.end();
+      }
+    });
+  }
+
+  /**
+   * Make attempts at a request until one succeeds or isn't worth retrying
+   */
+  async _attempt(key, resource, endpoint, options, request, span) {
+    for (let attempt = 0; ; attempt++) {
+      await this._acquire(this._budget(key, resource));
+      const endTimer = metrics.githubRequestDuration.startTimer({ endpoint });
+
+      try {
+        const response = await request(options);
+        endTimer();
+        metrics.githubRequests.inc({ endpoint, status: response.status });
+        this._update(key, resource, response.headers);
+        return response;
+      } catch (error) {
+        endTimer();
+        metrics.githubRequests.inc({ endpoint, status: error.status || 'network_error' });
+
+        if (error.response) {
+          this._update(key, resource, error.response.headers);
+        }
+
+        const delay = this._retryDelay(error, attempt);
+        if (delay === null) {
+          throw error;
+        }
+
+        logger.warn('GitHub rate limited a request, retrying', { url: options.url, status: error.status, attempt: attempt + 1, delay });
+        span.addEvent('retry', { attempt: attempt + 1, 'http.response.status_code': error.status, delay_ms: delay });
+        await sleep(delay);
+      }
+    }
+  }
+
+  /**
+   * Get the last known budget of every token and resource
+   */
+  getStatus() {
+    return Array.from(this.budgets, ([key, budgets]) => ({
+      key,
+      resources: Array.from(budgets.values(), budget => ({
+        resource: budget.resource,
+        limit: budget.limit,
+        remaining: budget.remaining,
+        reset: budget.reset ? new Date(budget.reset).toISOString() : null
+      }))
+    }));
+  }
+}
+
+/**
+ * Turn the budgets a request used into response headers, three per resource, such as
+ * X-GitHub-RateLimit-Code-Search-Remaining
+ */
+function rateLimitHeaders(rateLimits) {
+  const headers = {};
+
+  Object.entries(rateLimits).forEach(([resource, { limit, remaining, reset }]) => {
+    const name = resource.split('_').map(word => word.charAt(0).toUpperCase() + word.slice(1)).join('-');
+    headers[`X-GitHub-RateLimit-${name}-Limit`] = String(limit);
+    headers[`X-GitHub-RateLimit-${name}-Remaining`] = String(remaining);
+    headers[`X-GitHub-RateLimit-${name}-Reset`] = reset;
+  });
+
+  return headers;
+}
+
+module.exports = {
+  RateLimitScheduler,
+  rateLimitHeaders
+};
+
+// Made with Bob
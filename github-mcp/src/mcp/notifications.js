@@ -0,0 +1,28 @@
+const { EventEmitter } = require('events');
+
+// Sessions listen here for changes they may need to push to their client
+const emitter = new EventEmitter();
+emitter.setMaxListeners(0);
+
+/**
+ * Announce that the content behind a resource URI has changed
+ */
+function resourceUpdated(uri) {
+  emitter.emit('resourceUpdated', uri);
+}
+
+/**
+ * Announce that the set of available tools has changed
+ */
+function toolListChanged() {
+  emitter.emit('toolListChanged');
+}
+
+module.exports = {
+  resourceUpdated,
+  toolListChanged,
+  on: emitter.on.bind(emitter),
+  off: emitter.off.bind(emitter)
+};
+
+// Made with Bob
@@ -0,0 +1,389 @@
+const toolRegistry = require('../tools');
+const resourceRegistry = require('../resources');
+const { name: serverName, version: serverVersion } = require('../../package.json');
+const { ValidationError, ForbiddenError } = require('../utils/errors');
+const requestContext = require('../utils/request-context');
+const tracing = require('../utils/tracing');
+const logger = require('../utils/logger');
+
+// Newest protocol revision first; it is offered when the client asks for one we don't know
+const SUPPORTED_PROTOCOL_VERSIONS = ['2025-06-18', '2025-03-26', '2024-11-05'];
+const LATEST_PROTOCOL_VERSION = SUPPORTED_PROTOCOL_VERSIONS[0];
+
+// JSON-RPC 2.0 error codes, plus the MCP-specific resource error and our own for refused scopes
+const ErrorCodes = {
+  PARSE_ERROR: -32700,
+  INVALID_REQUEST: -32600,
+  METHOD_NOT_FOUND: -32601,
+  INVALID_PARAMS: -32602,
+  INTERNAL_ERROR: -32603,
+  RESOURCE_NOT_FOUND: -32002,
+  FORBIDDEN: -32003
+};
+
+/**
+ * Error raised by a method handler to produce a JSON-RPC error response
+ */
+class McpError extends Error {
+  constructor(code, message, data) {
+    super(message);
+    this.name = 'McpError';
+    this.code = code;
+    this.data = data;
+  }
+}
+
+/**
+ * Handle the initialize request and negotiate the protocol version
+ */
+function initialize(params = {}, { session }) {
+  const { protocolVersion, clientInfo } = params;
+  const negotiatedVersion = SUPPORTED_PROTOCOL_VERSIONS.includes(protocolVersion)
+    ? protocolVersion
+    : LATEST_PROTOCOL_VERSION;
+
+  logger.info('MCP client initializing', { clientInfo, requestedVersion: protocolVersion, negotiatedVersion });
+
+  session.protocolVersion = negotiatedVersion;
+  session.clientInfo = clientInfo;
+
+  return {
+    protocolVersion: negotiatedVersion,
+    capabilities: {
+      tools: {
+        listChanged: false
+      },
+      resources: {
+        subscribe: true,
+        listChanged: false
+      }
+    },
+    serverInfo: {
+      name: serverName,
+      version: serverVersion
+    }
+  };
+}
+
+/**
+ * List tools in MCP format
+ */
+function listTools() {
+  return {
+    tools: toolRegistry.listTools().map(tool => ({
+      name: tool.name,
+      description: tool.description,
+      inputSchema: tool.inputSchema,
+      outputSchema: tool.outputSchema,
+      annotations: tool.annotations
+    }))
+  };
+}
+
+/**
+ * Call a tool and wrap its result as MCP content
+ */
+async function callTool(params = {}, { session, requestId }) {
+  const { name, arguments: args = {}, _meta: meta = {} } = params;
+
+  if (typeof name !== 'string') {
+    throw new McpError(ErrorCodes.INVALID_PARAMS, 'Tool name is required');
+  }
+
+  const tool = toolRegistry.getTool(name);
+  if (!tool) {
+    throw new McpError(ErrorCodes.INVALID_PARAMS, `Unknown tool: ${name}`);
+  }
+
+  logger.info(`Calling tool: ${name}`, { input: args });
+
+  // Clients that pass a progress token are told when the call starts and finishes
+  const { progressToken } = meta;
+  const reportProgress = (progress, message) => {
+    if (progressToken !== undefined) {
+      session.notify('notifications/progress', { progressToken, progress, total: 1, message }, { relatedRequestId: requestId });
+    }
+  };
+
+  reportProgress(0, `Calling ${name}`);
+
+  // The rate limit budget reported by each GitHub response the call makes is collected here
+  const rateLimits = {};
+  const resultMeta = () => (Object.keys(rateLimits).length > 0 ? { _meta: { rateLimits } } : {});
+
+  try {
+    const result = await requestContext.run(
+      { ...requestContext.get(), rateLimits },
+      () => toolRegistry.callTool(name, args)
+    );
+    reportProgress(1, `${name} completed`);
+
+    return {
+      content: [
+        {
+          type: 'text',
+          text: JSON.stringify(result, null, 2)
+        }
+      ],
+      structuredContent: result,
+      isError: false,
+      ...resultMeta()
+    };
+  } catch (error) {
+    reportProgress(1, `${name} failed`);
+
+    // Arguments that don't match the schema are a protocol error
+    if (error instanceof ValidationError) {
+      throw new McpError(ErrorCodes.INVALID_PARAMS, error.message, { errors: error.errors });
+    }
+
+    // So are calls outside the caller's scopes
+    if (error instanceof ForbiddenError) {
+      throw new McpError(ErrorCodes.FORBIDDEN, error.message, { tool: name });
+    }
+
+    // Tool failures are reported in the result so the model can see and react to them
+    logger.error('Error calling tool', { tool: name, error: error.message });
+
+    return {
+      content: [
+        {
+          type: 'text',
+          text: error.message
+        }
+      ],
+      isError: true,
+      ...resultMeta()
+    };
+  }
+}
+
+/**
+ * List concrete resources. All GitHub resources are parameterized, so they are
+ * advertised as templates instead.
+ */
+function listResources() {
+  return { resources: [] };
+}
+
+/**
+ * List resource templates in MCP format
+ */
+function listResourceTemplates() {
+  return {
+    resourceTemplates: resourceRegistry.listResources().map(resource => ({
+      name: resource.name,
+      uriTemplate: resource.uriPattern,
+      description: resource.description,
+      mimeType: 'application/json'
+    }))
+  };
+}
+
+/**
+ * Read a resource and wrap it as MCP resource contents
+ */
+async function readResource(params = {}) {
+  const { uri } = params;
+
+  if (typeof uri !== 'string') {
+    throw new McpError(ErrorCodes.INVALID_PARAMS, 'Resource URI is required');
+  }
+
+  const resource = resourceRegistry.getResource(uri);
+  if (!resource) {
+    throw new McpError(ErrorCodes.RESOURCE_NOT_FOUND, 'Resource not found', { uri });
+  }
+
+  logger.info(`Reading resource: ${uri}`);
+
+  try {
+    const result = await resourceRegistry.readResource(uri);
+
+    return {
+      contents: [
+        {
+          uri,
+          mimeType: 'application/json',
+          text: JSON.stringify(result, null, 2)
+        }
+      ]
+    };
+  } catch (error) {
+    if (error.status === 404) {
+      throw new McpError(ErrorCodes.RESOURCE_NOT_FOUND, 'Resource not found', { uri });
+    }
+    if (error instanceof ValidationError) {
+      throw new McpError(ErrorCodes.INVALID_PARAMS, error.message, { uri, errors: error.errors });
+    }
+    if (error instanceof ForbiddenError) {
+      throw new McpError(ErrorCodes.FORBIDDEN, error.message, { uri });
+    }
+    throw error;
+  }
+}
+
+/**
+ * Subscribe the session to update notifications for a resource
+ */
+function subscribeResource(params = {}, { session }) {
+  const { uri } = params;
+
+  if (typeof uri !== 'string') {
+    throw new McpError(ErrorCodes.INVALID_PARAMS, 'Resource URI is required');
+  }
+
+  if (!resourceRegistry.getResource(uri)) {
+    throw new McpError(ErrorCodes.RESOURCE_NOT_FOUND, 'Resource not found', { uri });
+  }
+
+  try {
+    resourceRegistry.authorizeResource(uri);
+  } catch (error) {
+    throw new McpError(ErrorCodes.FORBIDDEN, error.message, { uri });
+  }
+
+  session.subscriptions.add(uri);
+  logger.debug('Subscribed to resource', { sessionId: session.id, uri });
+
+  return {};
+}
+
+/**
+ * Remove a resource subscription from the session
+ */
+function unsubscribeResource(params = {}, { session }) {
+  const { uri } = params;
+
+  if (typeof uri !== 'string') {
+    throw new McpError(ErrorCodes.INVALID_PARAMS, 'Resource URI is required');
+  }
+
+  session.subscriptions.delete(uri);
+  logger.debug('Unsubscribed from resource', { sessionId: session.id, uri });
+
+  return {};
+}
+
+// Request handlers by method name
+const methods = {
+  'initialize': initialize,
+  'ping': () => ({}),
+  'tools/list': listTools,
+  'tools/call': callTool,
+  'resources/list': listResources,
+  'resources/templates/list': listResourceTemplates,
+  'resources/read': readResource,
+  'resources/subscribe': subscribeResource,
+  'resources/unsubscribe': unsubscribeResource
+};
+
+/**
+ * Create a JSON-RPC success response
+ */
+function createResponse(id, result) {
+  return {
+    jsonrpc: '2.0',
+    id,
+    result
+  };
+}
+
+/**
+ * Create a JSON-RPC error response
+ */
+function createErrorResponse(id, code, message, data) {
+  const error = { code, message };
+  if (data !== undefined) {
+    error.data = data;
+  }
+
+  return {
+    jsonrpc: '2.0',
+    id,
+    error
+  };
+}
+
+/**
+ * Handle a single JSON-RPC message. Returns the response, or null when the
+ * message is a notification or a response that needs no reply.
+ */
+async function handleSingleMessage(message, session) {
+  if (!message || typeof message !== 'object' || Array.isArray(message) || message.jsonrpc !== '2.0') {
+    return createErrorResponse(null, ErrorCodes.INVALID_REQUEST, 'Invalid Request');
+  }
+
+  const { id, method, params } = message;
+  const isNotification = id === undefined;
+
+  // Responses to server-initiated requests carry no method
+  if (method === undefined && ('result' in message || 'error' in message)) {
+    return null;
+  }
+
+  if (typeof method !== 'string') {
+    return isNotification ? null : createErrorResponse(id, ErrorCodes.INVALID_REQUEST, 'Invalid Request');
+  }
+
+  if (isNotification) {
+    logger.debug(`Received notification: ${method}`);
+    return null;
+  }
+
+  const handler = Object.prototype.hasOwnProperty.call(methods, method) ? methods[method] : null;
+  if (!handler) {
+    return createErrorResponse(id, ErrorCodes.METHOD_NOT_FOUND, `Method not found: ${method}`);
+  }
+
+  const attributes = {
+    'rpc.system': 'jsonrpc',
+    'rpc.method': method,
+    'rpc.jsonrpc.request_id': String(id),
+    'mcp.session.id': session.id
+  };
+
+  return tracing.withSpan(`mcp ${method}`, { attributes }, async span => {
+    try {
+      const result = await handler(params, { session, requestId: id });
+      return createResponse(id, result);
+    } catch (error) {
+      tracing.markError(span, error);
+
+      if (error instanceof McpError) {
+        span.setAttribute('rpc.jsonrpc.error_code', error.code);
+        return createErrorResponse(id, error.code, error.message, error.data);
+      }
+
+      logger.error(`Error handling ${method}`, { error: error.message });
+      return createErrorResponse(id, ErrorCodes.INTERNAL_ERROR, error.message);
+    }
+  });
+}
+
+/**
+ * Handle a JSON-RPC message or batch of messages on behalf of a session
+ */
+async function handleMessage(message, session) {
+  if (!Array.isArray(message)) {
+    return handleSingleMessage(message, session);
+  }
+
+  if (message.length === 0) {
+    return createErrorResponse(null, ErrorCodes.INVALID_REQUEST, 'Invalid Request');
+  }
+
+  const responses = (await Promise.all(message.map(item => handleSingleMessage(item, session)))).filter(Boolean);
+  return responses.length > 0 ? responses : null;
+}
+
+module.exports = {
+  handleMessage,
+  createErrorResponse,
+  ErrorCodes,
+  McpError,
+  SUPPORTED_PROTOCOL_VERSIONS,
+  LATEST_PROTOCOL_VERSION
+};
+
+// Made with Bob
@@ -0,0 +1,63 @@
+const crypto = require('crypto');
+const notifications = require('./notifications');
+
+/**
+ * State for one connected MCP client. Transports supply the function that
+ * delivers server-initiated messages to the client.
+ */
+class Session {
+  constructor(send) {
+    this.id = crypto.randomUUID();
+    this.protocolVersion = null;
+    this.clientInfo = null;
+    this.subscriptions = new Set();
+    this.lastActivity = Date.now();
+    this._send = send;
+
+    this._onResourceUpdated = uri => {
+      if (this.subscriptions.has(uri)) {
+        this.notify('notifications/resources/updated', { uri });
+      }
+    };
+    this._onToolListChanged = () => {
+      this.notify('notifications/tools/list_changed');
+    };
+
+    notifications.on('resourceUpdated', this._onResourceUpdated);
+    notifications.on('toolListChanged', this._onToolListChanged);
+  }
+
+  /**
+   * Send a notification to the client, optionally tied to the request it belongs to
+   */
+  notify(method, params, { relatedRequestId } = {}) {
+    const message = { jsonrpc: '2.0', method };
+    if (params !== undefined) {
+      message.params = params;
+    }
+
+    this._send(message, { relatedRequestId });
+  }
+
+  /**
+   * Record client activity so idle sessions can be expired
+   */
+  touch() {
+    this.lastActivity = Date.now();
+  }
+
+  /**
+   * Stop delivering notifications to this session
+   */
+  close() {
+    notifications.off('resourceUpdated', this._onResourceUpdated);
+    notifications.off('toolListChanged', this._onToolListChanged);
+    this.subscriptions.clear();
+  }
+}
+
+module.exports = {
+  Session
+};
+
+// Made with Bob
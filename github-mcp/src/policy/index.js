@@ -0,0 +1,195 @@
+const picomatch = require('picomatch');
+const { PolicyError } = require('../utils/errors');
+const tracing = require('../utils/tracing');
+const logger = require('../utils/logger');
+
+/**
+ * Server-wide policy, applied to every caller:
+ *   READ_ONLY=true                    write tools are hidden and refused
+ *   POLICY_ALLOW_REPOS / _DENY_REPOS  comma-separated globs on owner/repo, case-insensitive
+ *   POLICY_ALLOW_PATHS / _DENY_PATHS  comma-separated globs on file paths within a repository
+ * Deny rules win over allow rules, and with allow rules set, anything they don't match is denied.
+ */
+
+/**
+ * Split a comma-separated setting into its globs
+ */
+function globs(value) {
+  return (value || '').split(',').map(glob => glob.trim()).filter(Boolean);
+}
+
+/**
+ * Compile globs into a matcher, or null when there are none
+ */
+function matcher(patterns, options) {
+  return patterns.length > 0 ? picomatch(patterns, options) : null;
+}
+
+const readOnly = process.env.READ_ONLY === 'true';
+
+const allowRepoGlobs = globs(process.env.POLICY_ALLOW_REPOS);
+const denyRepoGlobs = globs(process.env.POLICY_DENY_REPOS);
+const allowRepo = matcher(allowRepoGlobs, { nocase: true });
+const denyRepo = matcher(denyRepoGlobs, { nocase: true });
+
+// The owner part of each repository glob, for requests that span an owner's repositories
+const allowOwner = matcher(allowRepoGlobs.map(glob => glob.split('/')[0]), { nocase: true });
+const denyOwner = matcher(denyRepoGlobs.filter(glob => /\/\*\*?$/.test(glob)).map(glob => glob.split('/')[0]), { nocase: true });
+
+const allowPath = matcher(globs(process.env.POLICY_ALLOW_PATHS), { dot: true });
+const denyPath = matcher(globs(process.env.POLICY_DENY_PATHS), { dot: true });
+
+const hasPathRules = Boolean(allowPath || denyPath);
+const hasRepoRules = Boolean(allowRepo || denyRepo);
+
+/**
+ * Check whether the policy allows a repository
+ */
+function isRepositoryAllowed(owner, repo) {
+  const name = `${owner}/${repo}`;
+  return !(denyRepo && denyRepo(name)) && (!allowRepo || allowRepo(name));
+}
+
+/**
+ * Check whether the policy allows some of an owner's repositories
+ */
+function isOwnerAllowed(owner) {
+  return !(denyOwner && denyOwner(owner)) && (!allowOwner || allowOwner(owner));
+}
+
+/**
+ * Check whether the policy allows a file path. Allow rules name files, so directories are
+ * only checked against deny rules; their contents are checked as they are listed.
+ */
+function isPathAllowed(path, isDirectory = false) {
+  const normalized = path.replace(/^\/+|\/+$/g, '');
+  if (!normalized) {
+    return true;
+  }
+  return !(denyPath && denyPath(normalized)) && (isDirectory || !allowPath || allowPath(normalized));
+}
+
+/**
+ * Check whether the policy allows a tool; write tools are disabled in read-only mode
+ */
+function isToolEnabled(write) {
+  return !(readOnly && write);
+}
+
+/**
+ * Record a refusal and build the error reporting it
+ */
+function refuse(message, details) {
+  logger.warn('Refused by policy', details);
+  tracing.annotate({ 'policy.denied': true });
+  return new PolicyError(message);
+}
+
+/**
+ * Throw a PolicyError unless the policy allows a file in a repository
+ */
+function checkFile(owner, repo, path) {
+  if (!isRepositoryAllowed(owner, repo)) {
+    throw refuse(`Repository '${owner}/${repo}' is not allowed by this server's policy`, { owner, repo });
+  }
+
+  if (!isPathAllowed(path)) {
+    throw refuse(`Path '${path}' is not allowed by this server's policy`, { owner, repo, path });
+  }
+}
+
+/**
+ * Throw a PolicyError unless the policy allows what a tool call or resource read names:
+ * its owner or org, repo or repos (as owner/repo), and path, files[].path or comments[].path.
+ * A read's path may be a directory, so it is only checked against deny rules here and
+ * the files read are checked by the client.
+ */
+function checkTarget({ owner, org, repo, repos = [], path, files = [], comments = [] }, write = false) {
+  if (owner && repo) {
+    if (!isRepositoryAllowed(owner, repo)) {
+      throw refuse(`Repository '${owner}/${repo}' is not allowed by this server's policy`, { owner, repo });
+    }
+  } else if (owner || org) {
+    if (!isOwnerAllowed(owner || org)) {
+      throw refuse(`Owner '${owner || org}' is not allowed by this server's policy`, { owner: owner || org });
+    }
+  }
+
+  for (const fullName of repos) {
+    const [repoOwner, repoName] = fullName.split('/');
+    if (!isRepositoryAllowed(repoOwner, repoName)) {
+      throw refuse(`Repository '${fullName}' is not allowed by this server's policy`, { repo: fullName });
+    }
+  }
+
+  if (typeof path === 'string' && !isPathAllowed(path, !write)) {
+    throw refuse(`Path '${path}' is not allowed by this server's policy`, { owner, repo, path });
+  }
+
+  for (const filePath of [...files, ...comments].map(item => item.path)) {
+    if (!isPathAllowed(filePath)) {
+      throw refuse(`Path '${filePath}' is not allowed by this server's policy`, { owner, repo, path: filePath });
+    }
+  }
+}
+
+/**
+ * Throw a PolicyError unless the policy allows a tool call
+ */
+function checkToolCall(name, args, write) {
+  if (!isToolEnabled(write)) {
+    throw refuse(`This server is read-only; tool '${name}' is disabled`, { tool: name });
+  }
+
+  checkTarget(args, write);
+}
+
+/**
+ * Drop the items whose path the policy doesn't allow
+ */
+function filterPaths(items, pathOf) {
+  return hasPathRules ? items.filter(item => isPathAllowed(pathOf(item))) : items;
+}
+
+/**
+ * Drop the items whose repository ('owner/repo') the policy doesn't allow
+ */
+function filterRepositories(items, repositoryOf) {
+  if (!hasRepoRules) {
+    return items;
+  }
+
+  return items.filter(item => {
+    const [owner, repo] = repositoryOf(item).split('/');
+    return isRepositoryAllowed(owner, repo);
+  });
+}
+
+/**
+ * Drop the files the policy doesn't allow from a unified diff
+ */
+function filterDiff(diff) {
+  if (!hasPathRules || typeof diff !== 'string') {
+    return diff;
+  }
+
+  return diff
+    .split(/(?=^diff --git )/m)
+    .filter(section => {
+      const match = section.match(/^diff --git a\/(.+?) b\/(.+)$/m);
+      return !match || (isPathAllowed(match[1]) && isPathAllowed(match[2]));
+    })
+    .join('');
+}
+
+module.exports = {
+  isToolEnabled,
+  checkFile,
+  checkTarget,
+  checkToolCall,
+  filterPaths,
+  filterRepositories,
+  filterDiff
+};
+
+// Made with Bob
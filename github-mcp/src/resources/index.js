@@ -1,67 +1,26 @@
 const repositoryResource = require('./repository');
 const issueResource = require('./issue');
+const pullResource = require('./pull');
+const { parseResourceUri } = require('./uri');
+const auth = require('../auth');
+const policy = require('../policy');
+const metrics = require('../utils/metrics');
+const tracing = require('../utils/tracing');
 
 // Combine all resources
 const allResources = {
   ...repositoryResource,
-  ...issueResource
+  ...issueResource,
+  ...pullResource
 };
 
 /**
- * Parse a resource URI to extract components
- */
-function parseResourceUri(uri) {
-  // Repository resource: github://repository/{owner}/{repo}
-  const repoMatch = uri.match(/^github:\/\/repository\/([^\/]+)\/([^\/]+)$/);
-  if (repoMatch) {
-    return {
-      type: 'repository',
-      owner: repoMatch[1],
-      repo: repoMatch[2]
-    };
-  }
-  
-  // File resource: github://repository/{owner}/{repo}/file/{path}
-  const fileMatch = uri.match(/^github:\/\/repository\/([^\/]+)\/([^\/]+)\/file\/(.+)$/);
-  if (fileMatch) {
-    return {
-      type: 'file',
-      owner: fileMatch[1],
-      repo: fileMatch[2],
-      path: fileMatch[3]
-    };
-  }
-  
-  // Issues resource: github://repository/{owner}/{repo}/issues
-  const issuesMatch = uri.match(/^github:\/\/repository\/([^\/]+)\/([^\/]+)\/issues$/);
-  if (issuesMatch) {
-    return {
-      type: 'issues',
-      owner: issuesMatch[1],
-      repo: issuesMatch[2]
-    };
-  }
-  
-  // Issue resource: github://repository/{owner}/{repo}/issues/{number}
-  const issueMatch = uri.match(/^github:\/\/repository\/([^\/]+)\/([^\/]+)\/issues\/(\d+)$/);
-  if (issueMatch) {
-    return {
-      type: 'issue',
-      owner: issueMatch[1],
-      repo: issueMatch[2],
-      number: parseInt(issueMatch[3])
-    };
-  }
-  
-  return null;
-}
-
-/**
- * Get a list of all available resources with their metadata
+ * Get a list of the resources the caller may read, with their metadata
  */
 function listResources() {
   return [
     {
+      name: 'repository',
       uriPattern: 'github://repository/{owner}/{repo}',
       description: 'Access a GitHub repository',
       parameters: {
@@ -70,8 +29,28 @@ function listResources() {
       }
     },
     {
+      name: 'tree',
+      uriPattern: 'github://repository/{owner}/{repo}/tree',
+      description: 'List the files and directories of a GitHub repository recursively; add ?path=&depth=&include=&exclude=&maxEntries= to narrow the listing',
+      parameters: {
+        owner: 'Repository owner (user or organization)',
+        repo: 'Repository name'
+      }
+    },
+    {
+      name: 'tree-ref',
+      uriPattern: 'github://repository/{owner}/{repo}@{ref}/tree',
+      description: 'List the files and directories of a GitHub repository recursively at a branch, tag or commit',
+      parameters: {
+        owner: 'Repository owner (user or organization)',
+        repo: 'Repository name',
+        ref: 'Branch, tag or commit SHA (percent-encode any /)'
+      }
+    },
+    {
+      name: 'file',
       uriPattern: 'github://repository/{owner}/{repo}/file/{path}',
-      description: 'Access a file in a GitHub repository',
+      description: 'Access a file in a GitHub repository; add ?startLine=&endLine=&maxBytes= to read part of it',
       parameters: {
         owner: 'Repository owner (user or organization)',
         repo: 'Repository name',
@@ -79,6 +58,28 @@ function listResources() {
       }
     },
     {
+      name: 'repository-ref',
+      uriPattern: 'github://repository/{owner}/{repo}@{ref}',
+      description: 'Access a GitHub repository at a branch, tag or commit',
+      parameters: {
+        owner: 'Repository owner (user or organization)',
+        repo: 'Repository name',
+        ref: 'Branch, tag or commit SHA (percent-encode any /)'
+      }
+    },
+    {
+      name: 'file-ref',
+      uriPattern: 'github://repository/{owner}/{repo}@{ref}/file/{path}',
+      description: 'Access a file in a GitHub repository at a branch, tag or commit; add ?startLine=&endLine=&maxBytes= to read part of it',
+      parameters: {
+        owner: 'Repository owner (user or organization)',
+        repo: 'Repository name',
+        ref: 'Branch, tag or commit SHA (percent-encode any /)',
+        path: 'File path within the repository'
+      }
+    },
+    {
+      name: 'issues',
       uriPattern: 'github://repository/{owner}/{repo}/issues',
       description: 'Access issues in a GitHub repository',
       parameters: {
@@ -87,6 +88,7 @@ function listResources() {
       }
     },
     {
+      name: 'issue',
       uriPattern: 'github://repository/{owner}/{repo}/issues/{number}',
       description: 'Access a specific issue in a GitHub repository',
       parameters: {
@@ -94,8 +96,37 @@ function listResources() {
         repo: 'Repository name',
         number: 'Issue number'
       }
+    },
+    {
+      name: 'issue-comments',
+      uriPattern: 'github://repository/{owner}/{repo}/issues/{number}/comments',
+      description: 'Access the comments on an issue in a GitHub repository',
+      parameters: {
+        owner: 'Repository owner (user or organization)',
+        repo: 'Repository name',
+        number: 'Issue number'
+      }
+    },
+    {
+      name: 'pulls',
+      uriPattern: 'github://repository/{owner}/{repo}/pulls',
+      description: 'Access open pull requests in a GitHub repository',
+      parameters: {
+        owner: 'Repository owner (user or organization)',
+        repo: 'Repository name'
+      }
+    },
+    {
+      name: 'pull',
+      uriPattern: 'github://repository/{owner}/{repo}/pulls/{number}',
+      description: 'Access a specific pull request and its changed files in a GitHub repository',
+      parameters: {
+        owner: 'Repository owner (user or organization)',
+        repo: 'Repository name',
+        number: 'Pull request number'
+      }
     }
-  ];
+  ].filter(resource => auth.canReadResourceTemplate(resource.uriPattern));
 }
 
 /**
@@ -110,19 +141,65 @@ function getResource(uri) {
   
   switch (parsedUri.type) {
     case 'repository':
+    case 'tree':
     case 'file':
       return repositoryResource[parsedUri.type];
     case 'issues':
     case 'issue':
+    case 'issueComments':
       return issueResource[parsedUri.type];
+    case 'pulls':
+    case 'pull':
+      return pullResource[parsedUri.type];
     default:
       return null;
   }
 }
 
+/**
+ * Throw a ForbiddenError unless the caller's scopes and the server's policy allow reading a resource
+ */
+function authorizeResource(uri) {
+  const parsedUri = parseResourceUri(uri);
+  auth.authorizeResource(uri, parsedUri.type);
+  policy.checkTarget(parsedUri);
+}
+
+/**
+ * Read a resource in a span, recording the read by URI type
+ */
+async function readResource(uri) {
+  const resource = getResource(uri);
+  if (!resource) {
+    throw new Error(`Resource '${uri}' not found`);
+  }
+
+  const parsedUri = parseResourceUri(uri);
+  const attributes = {
+    'mcp.resource.uri': uri,
+    'mcp.resource.type': parsedUri.type,
+    ...tracing.repositoryAttributes(parsedUri)
+  };
+
+  return tracing.withSpan(`resource ${parsedUri.type}`, { attributes }, async () => {
+    authorizeResource(uri);
+
+    try {
+      const result = await resource.read(uri);
+      metrics.resourceReads.inc({ type: parsedUri.type, outcome: 'success' });
+      return result;
+    } catch (error) {
+      metrics.resourceReads.inc({ type: parsedUri.type, outcome: 'error' });
+      throw error;
+    }
+  });
+}
+
 module.exports = {
   listResources,
   getResource,
+  readResource,
+  authorizeResource,
   parseResourceUri
 };
 
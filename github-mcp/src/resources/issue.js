@@ -1,18 +1,6 @@
-const winston = require('winston');
 const githubClient = require('../github/client');
-const { parseResourceUri } = require('./index');
-
-// Create logger
-const logger = winston.createLogger({
-  level: process.env.LOG_LEVEL || 'info',
-  format: winston.format.combine(
-    winston.format.timestamp(),
-    winston.format.json()
-  ),
-  transports: [
-    new winston.transports.Console()
-  ]
-});
+const { parseResourceUri } = require('./uri');
+const logger = require('../utils/logger');
 
 /**
  * Issues resource
@@ -25,12 +13,12 @@ const issues = {
       throw new Error(`Invalid issues URI: ${uri}`);
     }
     
-    const { owner, repo } = parsedUri;
+    const { owner, repo, pagination } = parsedUri;
     
-    logger.debug('Reading issues resource', { owner, repo });
+    logger.debug('Reading issues resource', { owner, repo, pagination });
     
     try {
-      const issues = await githubClient.getIssues(owner, repo);
+      const { items: issues, nextCursor } = await githubClient.getIssues(owner, repo, { per_page: 100, ...pagination });
       
       return {
         owner,
@@ -47,7 +35,8 @@ const issues = {
           created_at: issue.created_at,
           updated_at: issue.updated_at,
           url: issue.html_url
-        }))
+        })),
+        nextCursor
       };
     } catch (error) {
       logger.error('Error reading issues resource', { error: error.message, owner, repo });
@@ -90,6 +79,9 @@ const issue = {
           name: label.name,
           color: label.color
         })),
+        assignees: issue.assignees.map(assignee => assignee.login),
+        milestone: issue.milestone ? { number: issue.milestone.number, title: issue.milestone.title } : null,
+        locked: issue.locked,
         created_at: issue.created_at,
         updated_at: issue.updated_at,
         closed_at: issue.closed_at,
@@ -102,9 +94,53 @@ const issue = {
   }
 };
 
+/**
+ * Issue comments resource
+ */
+const issueComments = {
+  async read(uri) {
+    const parsedUri = parseResourceUri(uri);
+    
+    if (!parsedUri || parsedUri.type !== 'issueComments') {
+      throw new Error(`Invalid issue comments URI: ${uri}`);
+    }
+    
+    const { owner, repo, number, pagination } = parsedUri;
+    
+    logger.debug('Reading issue comments resource', { owner, repo, number, pagination });
+    
+    try {
+      const { items: comments, nextCursor } = await githubClient.listIssueComments(owner, repo, number, { per_page: 100, ...pagination });
+      
+      return {
+        owner,
+        repo,
+        number,
+        comments: comments.map(comment => ({
+          id: comment.id,
+          body: comment.body,
+          user: {
+            login: comment.user.login,
+            avatar_url: comment.user.avatar_url,
+            url: comment.user.html_url
+          },
+          created_at: comment.created_at,
+          updated_at: comment.updated_at,
+          url: comment.html_url
+        })),
+        nextCursor
+      };
+    } catch (error) {
+      logger.error('Error reading issue comments resource', { error: error.message, owner, repo, number });
+      throw error;
+    }
+  }
+};
+
 module.exports = {
   issues,
-  issue
+  issue,
+  issueComments
 };
 
 // Made with Bob
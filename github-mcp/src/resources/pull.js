@@ -0,0 +1,119 @@
+const githubClient = require('../github/client');
+const { parseResourceUri } = require('./uri');
+const logger = require('../utils/logger');
+
+/**
+ * Pull requests resource
+ */
+const pulls = {
+  async read(uri) {
+    const parsedUri = parseResourceUri(uri);
+    
+    if (!parsedUri || parsedUri.type !== 'pulls') {
+      throw new Error(`Invalid pull requests URI: ${uri}`);
+    }
+    
+    const { owner, repo, pagination } = parsedUri;
+    
+    logger.debug('Reading pull requests resource', { owner, repo, pagination });
+    
+    try {
+      const { items: pulls, nextCursor } = await githubClient.listPullRequests(owner, repo, { per_page: 100, ...pagination });
+      
+      return {
+        owner,
+        repo,
+        pullRequests: pulls.map(pull => ({
+          number: pull.number,
+          title: pull.title,
+          state: pull.state,
+          draft: pull.draft,
+          user: {
+            login: pull.user.login,
+            avatar_url: pull.user.avatar_url,
+            url: pull.user.html_url
+          },
+          head: pull.head.ref,
+          base: pull.base.ref,
+          created_at: pull.created_at,
+          updated_at: pull.updated_at,
+          url: pull.html_url
+        })),
+        nextCursor
+      };
+    } catch (error) {
+      logger.error('Error reading pull requests resource', { error: error.message, owner, repo });
+      throw error;
+    }
+  }
+};
+
+/**
+ * Pull request resource
+ */
+const pull = {
+  async read(uri) {
+    const parsedUri = parseResourceUri(uri);
+    
+    if (!parsedUri || parsedUri.type !== 'pull') {
+      throw new Error(`Invalid pull request URI: ${uri}`);
+    }
+    
+    const { owner, repo, number } = parsedUri;
+    
+    logger.debug('Reading pull request resource', { owner, repo, number });
+    
+    try {
+      // GitHub lists at most 3000 files for a pull request
+      const [pull, { items: files }] = await Promise.all([
+        githubClient.getPullRequest(owner, repo, number),
+        githubClient.getPullRequestFiles(owner, repo, number, { per_page: 100, maxItems: 3000 })
+      ]);
+      
+      return {
+        owner,
+        repo,
+        number,
+        title: pull.title,
+        state: pull.state,
+        draft: pull.draft,
+        merged: pull.merged,
+        body: pull.body,
+        user: {
+          login: pull.user.login,
+          avatar_url: pull.user.avatar_url,
+          url: pull.user.html_url
+        },
+        head: {
+          ref: pull.head.ref,
+          sha: pull.head.sha
+        },
+        base: {
+          ref: pull.base.ref,
+          sha: pull.base.sha
+        },
+        files: files.map(file => ({
+          filename: file.filename,
+          status: file.status,
+          additions: file.additions,
+          deletions: file.deletions
+        })),
+        created_at: pull.created_at,
+        updated_at: pull.updated_at,
+        closed_at: pull.closed_at,
+        merged_at: pull.merged_at,
+        url: pull.html_url
+      };
+    } catch (error) {
+      logger.error('Error reading pull request resource', { error: error.message, owner, repo, number });
+      throw error;
+    }
+  }
+};
+
+module.exports = {
+  pulls,
+  pull
+};
+
+// Made with Bob
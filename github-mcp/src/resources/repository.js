@@ -1,18 +1,6 @@
-const winston = require('winston');
 const githubClient = require('../github/client');
-const { parseResourceUri } = require('./index');
-
-// Create logger
-const logger = winston.createLogger({
-  level: process.env.LOG_LEVEL || 'info',
-  format: winston.format.combine(
-    winston.format.timestamp(),
-    winston.format.json()
-  ),
-  transports: [
-    new winston.transports.Console()
-  ]
-});
+const { parseResourceUri } = require('./uri');
+const logger = require('../utils/logger');
 
 /**
  * Repository resource
@@ -25,17 +13,20 @@ const repository = {
       throw new Error(`Invalid repository URI: ${uri}`);
     }
     
-    const { owner, repo } = parsedUri;
+    const { owner, repo, ref } = parsedUri;
     
-    logger.debug('Reading repository resource', { owner, repo });
+    logger.debug('Reading repository resource', { owner, repo, ref });
     
     try {
+      const commitSha = ref ? await githubClient.resolveRef(owner, repo, ref) : undefined;
+      
       // For a repository, we'll return the root contents
-      const contents = await githubClient.getRepositoryContents(owner, repo);
+      const contents = await githubClient.getRepositoryContents(owner, repo, '', commitSha);
       
       return {
         owner,
         repo,
+        ...(ref ? { ref, commitSha } : {}),
         files: contents.map(item => ({
           name: item.name,
           path: item.path,
@@ -45,7 +36,40 @@ const repository = {
         }))
       };
     } catch (error) {
-      logger.error('Error reading repository resource', { error: error.message, owner, repo });
+      logger.error('Error reading repository resource', { error: error.message, owner, repo, ref });
+      throw error;
+    }
+  }
+};
+
+/**
+ * Tree resource
+ */
+const tree = {
+  async read(uri) {
+    const parsedUri = parseResourceUri(uri);
+    
+    if (!parsedUri || parsedUri.type !== 'tree') {
+      throw new Error(`Invalid tree URI: ${uri}`);
+    }
+    
+    const { owner, repo, ref, options } = parsedUri;
+    
+    logger.debug('Reading tree resource', { owner, repo, ref, options });
+    
+    try {
+      const { commitSha, ...listing } = await githubClient.getRepositoryTree(owner, repo, { ref, ...options });
+      
+      return {
+        owner,
+        repo,
+        ...(ref ? { ref } : {}),
+        commitSha,
+        path: options.path,
+        ...listing
+      };
+    } catch (error) {
+      logger.error('Error reading tree resource', { error: error.message, owner, repo, ref });
       throw error;
     }
   }
@@ -62,24 +86,23 @@ const file = {
       throw new Error(`Invalid file URI: ${uri}`);
     }
     
-    const { owner, repo, path } = parsedUri;
+    const { owner, repo, ref, path, range } = parsedUri;
     
-    logger.debug('Reading file resource', { owner, repo, path });
+    logger.debug('Reading file resource', { owner, repo, ref, path, range });
     
     try {
-      const fileContent = await githubClient.getFileContent(owner, repo, path);
+      const commitSha = ref ? await githubClient.resolveRef(owner, repo, ref) : undefined;
+      const fileContent = await githubClient.getFileContent(owner, repo, path, commitSha, range);
       
       return {
         owner,
         repo,
-        path,
-        content: fileContent.content,
-        name: fileContent.name,
-        size: fileContent.size,
-        url: fileContent.url
+        ...(ref ? { ref, commitSha } : {}),
+        ...fileContent,
+        path
       };
     } catch (error) {
-      logger.error('Error reading file resource', { error: error.message, owner, repo, path });
+      logger.error('Error reading file resource', { error: error.message, owner, repo, ref, path });
       throw error;
     }
   }
@@ -87,6 +110,7 @@ const file = {
 
 module.exports = {
   repository,
+  tree,
   file
 };
 
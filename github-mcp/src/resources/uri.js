@@ -0,0 +1,238 @@
+// Resource types that are paginated lists
+const LIST_TYPES = ['issues', 'issueComments', 'pulls'];
+
+/**
+ * Decode the ref segment of a URI. Refs containing '/' must be percent-encoded
+ * (feature%2Flogin). Returns undefined when there is no ref and null when it is malformed.
+ */
+function decodeRef(segment) {
+  if (segment === undefined) {
+    return undefined;
+  }
+  
+  try {
+    return decodeURIComponent(segment);
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Read the cursor and maxItems query parameters of a list resource URI.
+ * Returns null when maxItems is not an integer from 1 to 1000.
+ */
+function parsePagination(search) {
+  const params = new URLSearchParams(search);
+  const pagination = {};
+  
+  if (params.has('cursor')) {
+    pagination.cursor = params.get('cursor');
+  }
+  
+  if (params.has('maxItems')) {
+    const maxItems = params.get('maxItems');
+    if (!/^[1-9]\d*$/.test(maxItems) || parseInt(maxItems) > 1000) {
+      return null;
+    }
+    pagination.maxItems = parseInt(maxItems);
+  }
+  
+  return pagination;
+}
+
+/**
+ * Read the startLine, endLine and maxBytes query parameters of a file resource URI.
+ * Returns null when any of them is not a positive integer.
+ */
+function parseFileRange(search) {
+  const params = new URLSearchParams(search);
+  const range = {};
+  
+  for (const name of ['startLine', 'endLine', 'maxBytes']) {
+    if (params.has(name)) {
+      const value = params.get(name);
+      if (!/^[1-9]\d*$/.test(value)) {
+        return null;
+      }
+      range[name] = parseInt(value);
+    }
+  }
+  
+  return range;
+}
+
+/**
+ * Read the path, depth, include, exclude and maxEntries query parameters of a tree resource URI.
+ * include and exclude may be repeated or comma-separated. Returns null when depth is not a
+ * positive integer or maxEntries is not an integer from 1 to 10000.
+ */
+function parseTreeOptions(search) {
+  const params = new URLSearchParams(search);
+  const globs = name => params.getAll(name).flatMap(value => value.split(',')).map(glob => glob.trim()).filter(Boolean);
+  const options = { path: params.get('path') || '', include: globs('include'), exclude: globs('exclude'), maxEntries: 1000 };
+  
+  if (params.has('depth')) {
+    if (!/^[1-9]\d*$/.test(params.get('depth'))) {
+      return null;
+    }
+    options.depth = parseInt(params.get('depth'));
+  }
+  
+  if (params.has('maxEntries')) {
+    const maxEntries = params.get('maxEntries');
+    if (!/^[1-9]\d*$/.test(maxEntries) || parseInt(maxEntries) > 10000) {
+      return null;
+    }
+    options.maxEntries = parseInt(maxEntries);
+  }
+  
+  return options;
+}
+
+/**
+ * Parse the part of a resource URI before any query string
+ */
+function parseResourcePath(uri) {
+  // Repository resource: github://repository/{owner}/{repo}[@{ref}]
+  const repoMatch = uri.match(/^github:\/\/repository\/([^\/]+)\/([^\/@]+)(?:@([^\/]+))?$/);
+  if (repoMatch) {
+    const ref = decodeRef(repoMatch[3]);
+    if (ref === null) {
+      return null;
+    }
+    
+    return {
+      type: 'repository',
+      owner: repoMatch[1],
+      repo: repoMatch[2],
+      ref
+    };
+  }
+  
+  // Tree resource: github://repository/{owner}/{repo}[@{ref}]/tree[?path=...&depth=...&include=...]
+  const treeMatch = uri.match(/^github:\/\/repository\/([^\/]+)\/([^\/@]+)(?:@([^\/]+))?\/tree$/);
+  if (treeMatch) {
+    const ref = decodeRef(treeMatch[3]);
+    if (ref === null) {
+      return null;
+    }
+    
+    return {
+      type: 'tree',
+      owner: treeMatch[1],
+      repo: treeMatch[2],
+      ref
+    };
+  }
+  
+  // File resource: github://repository/{owner}/{repo}[@{ref}]/file/{path}
+  const fileMatch = uri.match(/^github:\/\/repository\/([^\/]+)\/([^\/@]+)(?:@([^\/]+))?\/file\/(.+)$/);
+  if (fileMatch) {
+    const ref = decodeRef(fileMatch[3]);
+    if (ref === null) {
+      return null;
+    }
+    
+    return {
+      type: 'file',
+      owner: fileMatch[1],
+      repo: fileMatch[2],
+      ref,
+      path: fileMatch[4]
+    };
+  }
+  
+  // Issues resource: github://repository/{owner}/{repo}/issues[?cursor=...&maxItems=...]
+  const issuesMatch = uri.match(/^github:\/\/repository\/([^\/]+)\/([^\/@]+)\/issues$/);
+  if (issuesMatch) {
+    return {
+      type: 'issues',
+      owner: issuesMatch[1],
+      repo: issuesMatch[2]
+    };
+  }
+  
+  // Issue resource: github://repository/{owner}/{repo}/issues/{number}
+  const issueMatch = uri.match(/^github:\/\/repository\/([^\/]+)\/([^\/@]+)\/issues\/(\d+)$/);
+  if (issueMatch) {
+    return {
+      type: 'issue',
+      owner: issueMatch[1],
+      repo: issueMatch[2],
+      number: parseInt(issueMatch[3])
+    };
+  }
+  
+  // Issue comments resource: github://repository/{owner}/{repo}/issues/{number}/comments[?cursor=...&maxItems=...]
+  const issueCommentsMatch = uri.match(/^github:\/\/repository\/([^\/]+)\/([^\/@]+)\/issues\/(\d+)\/comments$/);
+  if (issueCommentsMatch) {
+    return {
+      type: 'issueComments',
+      owner: issueCommentsMatch[1],
+      repo: issueCommentsMatch[2],
+      number: parseInt(issueCommentsMatch[3])
+    };
+  }
+  
+  // Pull requests resource: github://repository/{owner}/{repo}/pulls[?cursor=...&maxItems=...]
+  const pullsMatch = uri.match(/^github:\/\/repository\/([^\/]+)\/([^\/@]+)\/pulls$/);
+  if (pullsMatch) {
+    return {
+      type: 'pulls',
+      owner: pullsMatch[1],
+      repo: pullsMatch[2]
+    };
+  }
+  
+  // Pull request resource: github://repository/{owner}/{repo}/pulls/{number}
+  const pullMatch = uri.match(/^github:\/\/repository\/([^\/]+)\/([^\/@]+)\/pulls\/(\d+)$/);
+  if (pullMatch) {
+    return {
+      type: 'pull',
+      owner: pullMatch[1],
+      repo: pullMatch[2],
+      number: parseInt(pullMatch[3])
+    };
+  }
+  
+  return null;
+}
+
+/**
+ * Parse a resource URI to extract components. List resources (issues, issue comments and
+ * pull requests) also carry the pagination options from their query string, files
+ * their line range and size limit, and trees their path and filters.
+ */
+function parseResourceUri(uri) {
+  const queryIndex = uri.indexOf('?');
+  const parsedUri = parseResourcePath(queryIndex === -1 ? uri : uri.slice(0, queryIndex));
+  const search = queryIndex === -1 ? '' : uri.slice(queryIndex + 1);
+  
+  if (!parsedUri) {
+    return null;
+  }
+  
+  if (parsedUri.type === 'file') {
+    const range = parseFileRange(search);
+    return range ? { ...parsedUri, range } : null;
+  }
+  
+  if (parsedUri.type === 'tree') {
+    const options = parseTreeOptions(search);
+    return options ? { ...parsedUri, path: options.path, options } : null;
+  }
+  
+  if (!LIST_TYPES.includes(parsedUri.type)) {
+    return queryIndex === -1 ? parsedUri : null;
+  }
+  
+  const pagination = parsePagination(search);
+  
+  return pagination ? { ...parsedUri, pagination } : null;
+}
+
+module.exports = {
+  parseResourceUri
+};
+
+// Made with Bob
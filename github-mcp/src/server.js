@@ -1,43 +1,127 @@
 require('dotenv').config();
+
+// The --stdio flag selects the stdio transport; the logger reads MCP_TRANSPORT to keep stdout clean
+if (process.argv.includes('--stdio')) {
+  process.env.MCP_TRANSPORT = 'stdio';
+}
+
 const express = require('express');
 const cors = require('cors');
 const morgan = require('morgan');
-const winston = require('winston');
 const toolRegistry = require('./tools');
 const resourceRegistry = require('./resources');
-
-// Create logger
-const logger = winston.createLogger({
-  level: process.env.LOG_LEVEL || 'info',
-  format: winston.format.combine(
-    winston.format.timestamp(),
-    winston.format.json()
-  ),
-  transports: [
-    new winston.transports.Console()
-  ]
-});
+const mcpProtocol = require('./mcp/protocol');
+const stdioTransport = require('./transports/stdio');
+const streamableHttpTransport = require('./transports/streamable-http');
+const { router: adminRouter } = require('./admin');
+const auth = require('./auth');
+const githubClient = require('./github/client');
+const { rateLimitHeaders } = require('./github/rate-limit');
+const requestContext = require('./utils/request-context');
+const metrics = require('./utils/metrics');
+const tracing = require('./utils/tracing');
+const { ToolError } = require('./utils/errors');
+const logger = require('./utils/logger');
 
 // Create Express app
 const app = express();
 const port = process.env.PORT || 3000;
 
+// Browsers may only call the server from the origins in CORS_ORIGINS, or any origin with *
+const corsOrigins = (process.env.CORS_ORIGINS || '').split(',').map(origin => origin.trim()).filter(Boolean);
+const isOriginAllowed = origin => corsOrigins.includes('*') || corsOrigins.includes(origin);
+
 // Middleware
-app.use(cors());
+app.use(cors({
+  origin: (origin, callback) => callback(null, !origin || isOriginAllowed(origin)),
+  exposedHeaders: ['Mcp-Session-Id']
+}));
+
+// Refusing other origins on /mcp keeps web pages, including DNS rebinding attacks, off the MCP endpoint
+app.use('/mcp', (req, res, next) => {
+  const origin = req.get('Origin');
+  if (origin && !isOriginAllowed(origin)) {
+    logger.warn('Refused MCP request from disallowed origin', { origin });
+    return res.status(403).json(mcpProtocol.createErrorResponse(null, mcpProtocol.ErrorCodes.FORBIDDEN, `Origin '${origin}' is not allowed`));
+  }
+  next();
+});
+
 app.use(express.json());
 app.use(morgan('dev'));
 
+// Count requests in flight; a response emits close once it has been sent or the client went away
+app.use((req, res, next) => {
+  metrics.httpRequestsInFlight.inc({ method: req.method });
+  res.once('close', () => metrics.httpRequestsInFlight.dec({ method: req.method }));
+  next();
+});
+
+// Trace each request, continuing the caller's trace when it sends a traceparent header
+app.use(tracing.middleware);
+
+// With credential pass-through enabled, GitHub calls made for a request use the caller's token
+app.use((req, res, next) => {
+  requestContext.run({ githubToken: githubClient.auth.tokenFromRequest(req) }, next);
+});
+
+// Tools, resources and MCP need an API key or JWT when authentication is configured
+app.use(['/tools', '/resources', '/mcp'], auth.middleware);
+
+// REST calls report the budget left for each rate limit resource they used in response headers
+function reportRateLimits(req, res, next) {
+  const rateLimits = {};
+  const json = res.json.bind(res);
+
+  res.json = body => {
+    res.set(rateLimitHeaders(rateLimits));
+    return json(body);
+  };
+
+  requestContext.run({ ...requestContext.get(), rateLimits }, next);
+}
+
 // Health check endpoint
 app.get('/health', (req, res) => {
   res.json({ status: 'ok' });
 });
 
+// Prometheus metrics
+app.get('/metrics', async (req, res) => {
+  try {
+    res.set('Content-Type', metrics.register.contentType);
+    res.end(await metrics.register.metrics());
+  } catch (error) {
+    logger.error('Error collecting metrics:', error);
+    res.status(500).end(error.message);
+  }
+});
+
 // MCP Protocol endpoints
 
-// List tools
+/**
+ * Describe a JSON Schema's properties as the { name: { type, description } } map that
+ * GET /tools returned as parameters and returns before tools had schemas. Parameters the
+ * schema doesn't require are marked optional.
+ */
+function legacyFields(schema = {}, markOptional = false) {
+  const required = schema.required || [];
+  
+  return Object.fromEntries(Object.entries(schema.properties || {}).map(([name, property]) => [name, {
+    type: property.type,
+    description: property.description,
+    ...(markOptional && !required.includes(name) ? { optional: true } : {})
+  }]));
+}
+
+// List tools, keeping the parameters and returns fields older callers read
 app.get('/tools', (req, res) => {
   try {
-    const tools = toolRegistry.listTools();
+    const tools = toolRegistry.listTools().map(tool => ({
+      ...tool,
+      parameters: legacyFields(tool.inputSchema, true),
+      returns: legacyFields(tool.outputSchema)
+    }));
     res.json({ tools });
   } catch (error) {
     logger.error('Error listing tools:', error);
@@ -51,7 +135,7 @@ app.get('/tools', (req, res) => {
 });
 
 // Call tool
-app.post('/tools/:toolName', async (req, res) => {
+app.post('/tools/:toolName', reportRateLimits, async (req, res) => {
   try {
     const { toolName } = req.params;
     const input = req.body;
@@ -68,9 +152,19 @@ app.post('/tools/:toolName', async (req, res) => {
       });
     }
     
-    const result = await tool.execute(input);
+    const result = await toolRegistry.callTool(toolName, input);
     res.json({ result });
   } catch (error) {
+    if (error instanceof ToolError) {
+      return res.status(error.status).json({
+        error: {
+          code: error.code,
+          message: error.message,
+          details: error.errors
+        }
+      });
+    }
+    
     logger.error('Error calling tool:', error);
     res.status(500).json({
       error: {
@@ -98,9 +192,11 @@ app.get('/resources', (req, res) => {
 });
 
 // Get resource
-app.get('/resources/:uri(*)', async (req, res) => {
+app.get('/resources/:uri(*)', reportRateLimits, async (req, res) => {
   try {
-    const uri = req.params.uri;
+    // Keep the query string, which carries the cursor for list resources
+    const queryIndex = req.originalUrl.indexOf('?');
+    const uri = req.params.uri + (queryIndex === -1 ? '' : req.originalUrl.slice(queryIndex));
     
     logger.info(`Getting resource: ${uri}`);
     
@@ -114,9 +210,19 @@ app.get('/resources/:uri(*)', async (req, res) => {
       });
     }
     
-    const result = await resource.read(uri);
+    const result = await resourceRegistry.readResource(uri);
     res.json({ result });
   } catch (error) {
+    if (error instanceof ToolError) {
+      return res.status(error.status).json({
+        error: {
+          code: error.code,
+          message: error.message,
+          details: error.errors
+        }
+      });
+    }
+    
     logger.error('Error getting resource:', error);
     res.status(500).json({
       error: {
@@ -127,15 +233,36 @@ app.get('/resources/:uri(*)', async (req, res) => {
   }
 });
 
-// Start server
-app.listen(port, () => {
-  logger.info(`GitHub MCP server listening at http://localhost:${port}`);
+// MCP Streamable HTTP endpoint
+app.use('/mcp', streamableHttpTransport.router);
+
+// Operator endpoints, enabled by ADMIN_TOKEN
+app.use('/admin', adminRouter);
+
+// Report malformed JSON on the MCP endpoint as a JSON-RPC parse error
+app.use((error, req, res, next) => {
+  if (req.path === '/mcp' && error.type === 'entity.parse.failed') {
+    return res.status(400).json(
+      mcpProtocol.createErrorResponse(null, mcpProtocol.ErrorCodes.PARSE_ERROR, 'Parse error')
+    );
+  }
+  next(error);
 });
 
+// Start server on the selected transport
+if (process.env.MCP_TRANSPORT === 'stdio') {
+  stdioTransport.start();
+} else {
+  auth.logStatus();
+  app.listen(port, () => {
+    logger.info(`GitHub MCP server listening at http://localhost:${port}`);
+  });
+}
+
 // Handle graceful shutdown
 process.on('SIGTERM', () => {
   logger.info('SIGTERM received, shutting down gracefully');
-  process.exit(0);
+  tracing.shutdown().finally(() => process.exit(0));
 });
 
 module.exports = app;
@@ -1,52 +1,91 @@
-const winston = require('winston');
+const picomatch = require('picomatch');
 const githubClient = require('../github/client');
-
-// Create logger
-const logger = winston.createLogger({
-  level: process.env.LOG_LEVEL || 'info',
-  format: winston.format.combine(
-    winston.format.timestamp(),
-    winston.format.json()
-  ),
-  transports: [
-    new winston.transports.Console()
-  ]
-});
+const schemas = require('./schemas');
+const { buildCodeQuery } = require('../github/query');
+const { mapWithConcurrency } = require('../utils/concurrency');
+const policy = require('../policy');
+const { ToolError } = require('../utils/errors');
+const logger = require('../utils/logger');
 
 /**
  * Get code from a GitHub repository
  */
 const getRepositoryCode = {
-  description: 'Get code from a GitHub repository',
-  parameters: {
-    owner: {
-      type: 'string',
-      description: 'Repository owner (user or organization)'
-    },
-    repo: {
-      type: 'string',
-      description: 'Repository name'
+  description: 'Get code from a GitHub repository. Long files are cut to maxBytes; read the rest with startLine and endLine. Binary files return their MIME type and size instead of content.',
+  annotations: {
+    readOnlyHint: true
+  },
+  inputSchema: {
+    type: 'object',
+    properties: {
+      owner: schemas.owner,
+      repo: schemas.repo,
+      path: {
+        type: 'string',
+        default: '',
+        description: 'File or directory path within the repository (defaults to the root)'
+      },
+      ref: schemas.ref,
+      ...schemas.fileRange
     },
-    path: {
-      type: 'string',
-      description: 'File or directory path within the repository'
-    }
+    required: ['owner', 'repo'],
+    additionalProperties: false
   },
-  returns: {
-    content: {
-      type: 'string',
-      description: 'File content (if path is a file)'
+  outputSchema: {
+    type: 'object',
+    properties: {
+      isDirectory: {
+        type: 'boolean',
+        description: 'Whether the path is a directory'
+      },
+      content: {
+        type: 'string',
+        description: 'File content (if path is a text file)'
+      },
+      ...schemas.fileContent,
+      files: {
+        type: 'array',
+        description: 'List of files (if path is a directory)',
+        items: {
+          type: 'object',
+          properties: {
+            name: { type: 'string' },
+            path: { type: 'string' },
+            type: { type: 'string' },
+            size: { type: 'integer' },
+            url: schemas.nullableString
+          }
+        }
+      },
+      name: { type: 'string' },
+      path: { type: 'string' },
+      sha: {
+        type: 'string',
+        description: 'Blob SHA of the file (pass as expectedSha when updating it)'
+      },
+      size: { type: 'integer' },
+      type: { type: 'string' },
+      url: schemas.nullableString,
+      ref: {
+        type: 'string',
+        description: 'Ref the content was read from (if a ref was given)'
+      },
+      commitSha: {
+        type: 'string',
+        description: 'Commit the ref resolved to (if a ref was given)'
+      }
     },
-    files: {
-      type: 'array',
-      description: 'List of files (if path is a directory)'
-    }
+    required: ['isDirectory']
   },
-  async execute({ owner, repo, path = '' }) {
-    logger.debug('Executing getRepositoryCode', { owner, repo, path });
+  async execute({ owner, repo, path = '', ref, startLine, endLine, maxBytes }) {
+    logger.debug('Executing getRepositoryCode', { owner, repo, path, ref, startLine, endLine, maxBytes });
     
     try {
-      const contents = await githubClient.getRepositoryContents(owner, repo, path);
+      // Resolve the ref once so the listing or file and the reported commit agree
+      const commitSha = ref ? await githubClient.resolveRef(owner, repo, ref) : undefined;
+      const refInfo = ref ? { ref, commitSha } : {};
+      
+      const contents = await githubClient.getRepositoryContents(owner, repo, path, commitSha);
       
       // If contents is an array, it's a directory
       if (Array.isArray(contents)) {
@@ -58,20 +97,18 @@ const getRepositoryCode = {
             type: item.type,
             size: item.size,
             url: item.html_url
-          }))
+          })),
+          ...refInfo
         };
       }
       
       // If contents is not an array, it's a file
       if (contents.type === 'file') {
-        const fileContent = await githubClient.getFileContent(owner, repo, path);
+        const fileContent = await githubClient.getFileContent(owner, repo, path, commitSha, { startLine, endLine, maxBytes });
         return {
           isDirectory: false,
-          content: fileContent.content,
-          name: fileContent.name,
-          path: fileContent.path,
-          size: fileContent.size,
-          url: fileContent.url
+          ...fileContent,
+          ...refInfo
         };
       }
       
@@ -82,61 +119,498 @@ const getRepositoryCode = {
         type: contents.type,
         name: contents.name,
         path: contents.path,
-        url: contents.html_url
+        url: contents.html_url,
+        ...refInfo
       };
     } catch (error) {
-      logger.error('Error in getRepositoryCode', { error: error.message, owner, repo, path });
+      logger.error('Error in getRepositoryCode', { error: error.message, owner, repo, path, ref });
       throw error;
     }
   }
 };
 
+// Glob lists for filtering tree entries
+const globs = description => ({
+  type: 'array',
+  maxItems: 50,
+  items: { type: 'string', minLength: 1 },
+  description
+});
+
 /**
- * Search for code in a GitHub repository
+ * List the files and directories of a repository recursively
  */
-const searchCode = {
-  description: 'Search for code in a GitHub repository',
-  parameters: {
-    owner: {
-      type: 'string',
-      description: 'Repository owner (user or organization)'
+const getRepositoryTree = {
+  description: 'List the files and directories of a GitHub repository recursively, with their types and sizes. Narrow large repositories with path, depth and include/exclude globs.',
+  annotations: {
+    readOnlyHint: true
+  },
+  inputSchema: {
+    type: 'object',
+    properties: {
+      owner: schemas.owner,
+      repo: schemas.repo,
+      path: {
+        type: 'string',
+        default: '',
+        description: 'Directory to list (defaults to the root)'
+      },
+      ref: schemas.ref,
+      depth: {
+        type: 'integer',
+        minimum: 1,
+        description: 'Levels below path to list; 1 lists only its direct entries (defaults to every level)'
+      },
+      include: globs('Only list entries whose path matches one of these globs, such as src/**/*.ts'),
+      exclude: globs('Leave out entries whose path matches one of these globs, such as **/node_modules/**'),
+      maxEntries: {
+        type: 'integer',
+        minimum: 1,
+        maximum: 10000,
+        default: 1000,
+        description: 'Most entries to return (max 10000)'
+      }
     },
-    repo: {
-      type: 'string',
-      description: 'Repository name'
+    required: ['owner', 'repo'],
+    additionalProperties: false
+  },
+  outputSchema: {
+    type: 'object',
+    properties: {
+      path: { type: 'string' },
+      entries: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            path: { type: 'string' },
+            type: {
+              type: 'string',
+              enum: ['file', 'dir', 'symlink', 'submodule']
+            },
+            size: {
+              type: 'integer',
+              description: 'Size in bytes (files and symlinks)'
+            },
+            sha: { type: 'string' }
+          }
+        }
+      },
+      totalEntries: {
+        type: 'integer',
+        description: 'Entries matching the filters, including any left out by maxEntries'
+      },
+      truncated: {
+        type: 'boolean',
+        description: 'Whether entries were left out because there are more than maxEntries'
+      },
+      skippedDirectories: {
+        type: 'array',
+        items: { type: 'string' },
+        description: 'Directories of a very large tree that could not be listed; list them with path'
+      },
+      ref: { type: 'string' },
+      commitSha: {
+        type: 'string',
+        description: 'Commit the tree was listed at'
+      }
     },
-    query: {
-      type: 'string',
-      description: 'Search query'
+    required: ['entries', 'truncated']
+  },
+  async execute({ owner, repo, path = '', ref, depth, include, exclude, maxEntries }) {
+    logger.debug('Executing getRepositoryTree', { owner, repo, path, ref, depth, include, exclude, maxEntries });
+    
+    try {
+      const tree = await githubClient.getRepositoryTree(owner, repo, { ref, path, depth, include, exclude, maxEntries });
+      
+      return {
+        path,
+        entries: tree.entries,
+        totalEntries: tree.totalEntries,
+        truncated: tree.truncated,
+        skippedDirectories: tree.skippedDirectories,
+        ...(ref ? { ref } : {}),
+        commitSha: tree.commitSha
+      };
+    } catch (error) {
+      logger.error('Error in getRepositoryTree', { error: error.message, owner, repo, path, ref });
+      throw error;
     }
+  }
+};
+
+// Files fetched at once by getFiles
+const FILES_CONCURRENCY = 5;
+
+/**
+ * Describe why one file of a batch couldn't be read
+ */
+function fileError(error) {
+  return {
+    code: error instanceof ToolError ? error.code : error.status === 404 ? 'not_found' : 'error',
+    message: error.message
+  };
+}
+
+/**
+ * Get several files from a GitHub repository in one call
+ */
+const getFiles = {
+  description: 'Get several files from a GitHub repository in one call, by path or glob, all at the same commit. Content is limited to a total byte budget shared by the files in the order given, and files past it are skipped; files that fail are reported one by one.',
+  annotations: {
+    readOnlyHint: true
   },
-  returns: {
-    items: {
-      type: 'array',
-      description: 'List of matching files'
+  inputSchema: {
+    type: 'object',
+    properties: {
+      owner: schemas.owner,
+      repo: schemas.repo,
+      paths: {
+        type: 'array',
+        minItems: 1,
+        maxItems: 50,
+        items: { type: 'string', minLength: 1 },
+        description: 'File paths or globs, such as src/index.ts or src/**/*.test.ts'
+      },
+      ref: schemas.ref,
+      maxBytes: {
+        type: 'integer',
+        minimum: 1,
+        maximum: 10000000,
+        description: 'Most bytes of content to return across all files; files past the budget are cut or skipped (defaults to the server limit)'
+      },
+      maxFiles: {
+        type: 'integer',
+        minimum: 1,
+        maximum: 100,
+        default: 50,
+        description: 'Most files to read when globs match many (max 100)'
+      }
     },
-    totalCount: {
-      type: 'number',
-      description: 'Total number of matches'
-    }
+    required: ['owner', 'repo', 'paths'],
+    additionalProperties: false
   },
-  async execute({ owner, repo, query }) {
-    logger.debug('Executing searchCode', { owner, repo, query });
+  outputSchema: {
+    type: 'object',
+    properties: {
+      files: {
+        type: 'array',
+        items: {
+          type: 'object',
+          properties: {
+            path: { type: 'string' },
+            content: {
+              type: 'string',
+              description: 'File content (text files)'
+            },
+            sha: { type: 'string' },
+            size: { type: 'integer' },
+            ...schemas.fileContent,
+            skipped: {
+              type: 'boolean',
+              description: 'Whether the file was not read because the byte budget was used up'
+            },
+            error: {
+              type: 'object',
+              description: 'Why the file could not be read',
+              properties: {
+                code: { type: 'string' },
+                message: { type: 'string' }
+              }
+            }
+          }
+        }
+      },
+      bytes: {
+        type: 'integer',
+        description: 'Bytes of content returned across all files'
+      },
+      truncated: {
+        type: 'boolean',
+        description: 'Whether any content or files were cut or left out to stay within maxBytes and maxFiles'
+      },
+      omittedFiles: {
+        type: 'integer',
+        description: 'Files matched by globs but not read because of maxFiles'
+      },
+      ref: { type: 'string' },
+      commitSha: {
+        type: 'string',
+        description: 'Commit the files were read at'
+      }
+    },
+    required: ['files', 'truncated']
+  },
+  async execute({ owner, repo, paths, ref, maxBytes = githubClient.fileMaxBytes, maxFiles }) {
+    logger.debug('Executing getFiles', { owner, repo, paths, ref, maxBytes, maxFiles });
     
     try {
-      const results = await githubClient.searchCode(owner, repo, query);
+      // Read every file at one commit so they are consistent with each other
+      const commitSha = await githubClient.resolveRef(owner, repo, ref || 'HEAD');
+      
+      // Nothing the policy hides is fetched: paths are checked up front, and globs are matched
+      // against the tree at that commit, less the files the policy hides
+      const targets = new Map();
+      for (const pattern of paths) {
+        if (!picomatch.scan(pattern).isGlob) {
+          try {
+            policy.checkFile(owner, repo, pattern);
+            targets.set(pattern, { path: pattern });
+          } catch (error) {
+            targets.set(pattern, { path: pattern, error: fileError(error) });
+          }
+          continue;
+        }
+        
+        const tree = await githubClient.getRepositoryTree(owner, repo, { ref: commitSha, include: [pattern] });
+        const matches = policy.filterPaths(tree.entries.filter(entry => entry.type === 'file'), entry => entry.path);
+        
+        if (matches.length === 0) {
+          targets.set(pattern, { path: pattern, error: { code: 'no_match', message: `No files match '${pattern}'` } });
+        }
+        for (const entry of matches) {
+          targets.set(entry.path, { path: entry.path });
+        }
+      }
+      
+      const selected = [...targets.values()].slice(0, maxFiles);
+      const omittedFiles = targets.size - selected.length;
+      
+      // Up to FILES_CONCURRENCY files are read at once, each limited to what the reads already
+      // finished have left of the budget, so together they can overshoot it. Files that come up
+      // once the finished reads have spent it are skipped without being read.
+      let spent = 0;
+      const read = (path, limit) => githubClient.getFileContent(owner, repo, path, commitSha, { maxBytes: limit })
+        .then(({ url, name, ...file }) => file);
+      
+      const results = await mapWithConcurrency(selected, FILES_CONCURRENCY, async target => {
+        if (target.error) {
+          return target;
+        }
+        if (spent >= maxBytes) {
+          return { path: target.path, skipped: true };
+        }
+        
+        try {
+          const file = await read(target.path, maxBytes - spent);
+          spent += file.isBinary ? 0 : Buffer.byteLength(file.content);
+          return file;
+        } catch (error) {
+          return { path: target.path, error: fileError(error) };
+        }
+      });
+      
+      // Earlier files that were still being read may leave a file less than it was fetched with,
+      // so the budget is shared out again in the order asked for, reading files cut short again
+      let remaining = maxBytes;
+      const files = [];
+      for (const file of results) {
+        if (file.error || file.skipped || file.isBinary) {
+          files.push(file);
+          continue;
+        }
+        
+        if (remaining <= 0) {
+          files.push({ path: file.path, skipped: true });
+          continue;
+        }
+        
+        const share = Buffer.byteLength(file.content) > remaining
+          ? await read(file.path, remaining).catch(error => ({ path: file.path, error: fileError(error) }))
+          : file;
+        remaining -= share.error ? 0 : Buffer.byteLength(share.content);
+        files.push(share);
+      }
       
       return {
-        totalCount: results.total_count,
-        items: results.items.map(item => ({
+        files,
+        bytes: maxBytes - remaining,
+        truncated: omittedFiles > 0 || files.some(file => file.truncated || file.skipped),
+        omittedFiles,
+        ...(ref ? { ref } : {}),
+        commitSha
+      };
+    } catch (error) {
+      logger.error('Error in getFiles', { error: error.message, owner, repo, paths, ref });
+      throw error;
+    }
+  }
+};
+
+// Files fetched at once to put line numbers on search matches
+const LINE_NUMBER_CONCURRENCY = 5;
+
+/**
+ * Describe the text-match fragments of a search result, with line numbers when the
+ * file content is known
+ */
+function formatTextMatches(textMatches, content) {
+  return textMatches.map(match => {
+    const start = content === null || match.property !== 'content' ? -1 : content.indexOf(match.fragment);
+    const lineAt = offset => (start === -1 ? null : content.slice(0, start + offset).split('\n').length);
+    
+    return {
+      property: match.property,
+      fragment: match.fragment,
+      startLine: lineAt(0),
+      endLine: lineAt(match.fragment.length),
+      matches: match.matches.map(term => ({
+        text: term.text,
+        line: lineAt(term.indices[0])
+      }))
+    };
+  });
+}
+
+/**
+ * Search for code in a GitHub repository, or across a user's or organization's repositories
+ */
+const searchCode = {
+  description: 'Search for code in a GitHub repository, or across all repositories of a user or organization when repo is omitted. Results include the matching fragments, with their line numbers when lineNumbers is set.',
+  annotations: {
+    readOnlyHint: true
+  },
+  inputSchema: {
+    type: 'object',
+    properties: {
+      owner: schemas.owner,
+      repo: {
+        ...schemas.repo,
+        description: 'Repository name (omit to search every repository of the owner)'
+      },
+      query: {
+        type: 'string',
+        minLength: 1,
+        description: 'Search query'
+      },
+      language: {
+        type: 'string',
+        minLength: 1,
+        description: 'Only files in this language (e.g. javascript)'
+      },
+      path: {
+        type: 'string',
+        minLength: 1,
+        description: 'Only files under this path'
+      },
+      extension: {
+        type: 'string',
+        pattern: '^[A-Za-z0-9_+-]+$',
+        description: 'Only files with this extension, without the dot'
+      },
+      filename: {
+        type: 'string',
+        minLength: 1,
+        description: 'Only files with this name'
+      },
+      lineNumbers: {
+        type: 'boolean',
+        default: false,
+        description: 'Fetch each matching file to add line numbers to its fragments, at one extra request per result'
+      },
+      per_page: schemas.perPage,
+      cursor: schemas.cursor,
+      maxItems: schemas.maxItems
+    },
+    required: ['owner', 'query'],
+    additionalProperties: false
+  },
+  outputSchema: {
+    type: 'object',
+    properties: {
+      query: {
+        type: 'string',
+        description: 'The GitHub search query that was run'
+      },
+      totalCount: {
+        type: 'integer',
+        description: 'Total number of matches'
+      },
+      items: {
+        type: 'array',
+        description: 'List of matching files',
+        items: {
+          type: 'object',
+          properties: {
+            name: { type: 'string' },
+            path: { type: 'string' },
+            sha: { type: 'string' },
+            url: { type: 'string' },
+            repository: {
+              type: 'object',
+              properties: {
+                name: { type: 'string' },
+                owner: { type: 'string' }
+              }
+            },
+            textMatches: {
+              type: 'array',
+              description: 'Fragments of the file content or path that matched',
+              items: {
+                type: 'object',
+                properties: {
+                  property: { type: 'string' },
+                  fragment: { type: 'string' },
+                  startLine: { type: ['integer', 'null'] },
+                  endLine: { type: ['integer', 'null'] },
+                  matches: {
+                    type: 'array',
+                    items: {
+                      type: 'object',
+                      properties: {
+                        text: { type: 'string' },
+                        line: { type: ['integer', 'null'] }
+                      }
+                    }
+                  }
+                }
+              }
+            }
+          }
+        }
+      },
+      nextCursor: schemas.nextCursor
+    },
+    required: ['query', 'totalCount', 'items']
+  },
+  async execute({ owner, repo, query, language, path, extension, filename, lineNumbers, ...options }) {
+    logger.debug('Executing searchCode', { owner, repo, query, options });
+    
+    try {
+      const ownerType = repo ? undefined : await githubClient.getAccountType(owner);
+      const searchQuery = buildCodeQuery({ text: query, owner, ownerType, repo, language, path, extension, filename });
+      const results = await githubClient.searchCode(owner, searchQuery, options);
+      
+      const items = await mapWithConcurrency(results.items, LINE_NUMBER_CONCURRENCY, async item => {
+        const textMatches = item.text_matches || [];
+        let content = null;
+        
+        // Line numbers are a convenience; a file that can't be fetched just goes without them
+        if (lineNumbers && textMatches.some(match => match.property === 'content')) {
+          content = await githubClient.getBlob(item.repository.owner.login, item.repository.name, item.sha).catch(error => {
+            logger.warn('Could not fetch file for search match line numbers', { error: error.message, path: item.path });
+            return null;
+          });
+        }
+        
+        return {
           name: item.name,
           path: item.path,
+          sha: item.sha,
           url: item.html_url,
           repository: {
             name: item.repository.name,
             owner: item.repository.owner.login
-          }
-        }))
+          },
+          textMatches: formatTextMatches(textMatches, content)
+        };
+      });
+      
+      return {
+        query: searchQuery,
+        totalCount: results.totalCount,
+        items,
+        nextCursor: results.nextCursor
       };
     } catch (error) {
       logger.error('Error in searchCode', { error: error.message, owner, repo, query });
@@ -147,6 +621,8 @@ const searchCode = {
 
 module.exports = {
   'getRepositoryCode': getRepositoryCode,
+  'getRepositoryTree': getRepositoryTree,
+  'getFiles': getFiles,
   'searchCode': searchCode
 };
 
@@ -0,0 +1,367 @@
+const githubClient = require('../github/client');
+const schemas = require('./schemas');
+const logger = require('../utils/logger');
+
+/**
+ * Map a GitHub commit to the shape returned by the tools
+ */
+function formatCommit(commit) {
+  return {
+    sha: commit.sha,
+    message: commit.commit.message,
+    author: {
+      name: commit.commit.author && commit.commit.author.name,
+      email: commit.commit.author && commit.commit.author.email,
+      login: commit.author ? commit.author.login : null,
+      date: commit.commit.author && commit.commit.author.date
+    },
+    committer: {
+      name: commit.commit.committer && commit.commit.committer.name,
+      email: commit.commit.committer && commit.commit.committer.email,
+      login: commit.committer ? commit.committer.login : null,
+      date: commit.commit.committer && commit.commit.committer.date
+    },
+    url: commit.html_url
+  };
+}
+
+/**
+ * Map a file changed by a commit or comparison
+ */
+function formatChangedFile(file) {
+  return {
+    filename: file.filename,
+    previous_filename: file.previous_filename,
+    status: file.status,
+    additions: file.additions,
+    deletions: file.deletions,
+    changes: file.changes,
+    patch: file.patch
+  };
+}
+
+/**
+ * List commits in a GitHub repository
+ */
+const listCommits = {
+  description: 'List commits in a GitHub repository, optionally only those touching a path or by an author within a date range',
+  annotations: {
+    readOnlyHint: true
+  },
+  inputSchema: {
+    type: 'object',
+    properties: {
+      owner: schemas.owner,
+      repo: schemas.repo,
+      ref: {
+        ...schemas.ref,
+        description: 'Branch, tag or commit SHA to list history from (defaults to the default branch)'
+      },
+      path: {
+        type: 'string',
+        minLength: 1,
+        description: 'Only commits that touch this file or directory'
+      },
+      author: {
+        type: 'string',
+        minLength: 1,
+        description: 'GitHub login or email address of the commit author'
+      },
+      since: {
+        type: 'string',
+        format: 'date-time',
+        description: 'Only commits after this time (ISO 8601)'
+      },
+      until: {
+        type: 'string',
+        format: 'date-time',
+        description: 'Only commits before this time (ISO 8601)'
+      },
+      per_page: schemas.perPage,
+      page: schemas.page,
+      cursor: schemas.cursor,
+      maxItems: schemas.maxItems
+    },
+    required: ['owner', 'repo'],
+    additionalProperties: false
+  },
+  outputSchema: {
+    type: 'object',
+    properties: {
+      commits: {
+        type: 'array',
+        description: 'Commits, newest first',
+        items: schemas.commit
+      },
+      nextCursor: schemas.nextCursor
+    },
+    required: ['commits']
+  },
+  async execute({ owner, repo, ref, ...options }) {
+    logger.debug('Executing listCommits', { owner, repo, ref, options });
+    
+    try {
+      const { items: commits, nextCursor } = await githubClient.listCommits(owner, repo, { ...options, sha: ref });
+      
+      return {
+        commits: commits.map(formatCommit),
+        nextCursor
+      };
+    } catch (error) {
+      logger.error('Error in listCommits', { error: error.message, owner, repo });
+      throw error;
+    }
+  }
+};
+
+/**
+ * Get a single commit with its changes
+ */
+const getCommit = {
+  description: 'Get a commit from a GitHub repository with its stats and per-file patches',
+  annotations: {
+    readOnlyHint: true
+  },
+  inputSchema: {
+    type: 'object',
+    properties: {
+      owner: schemas.owner,
+      repo: schemas.repo,
+      ref: {
+        ...schemas.ref,
+        description: 'Commit SHA, branch or tag'
+      }
+    },
+    required: ['owner', 'repo', 'ref'],
+    additionalProperties: false
+  },
+  outputSchema: {
+    type: 'object',
+    properties: {
+      commit: {
+        ...schemas.commit,
+        properties: {
+          ...schemas.commit.properties,
+          parents: { type: 'array', items: { type: 'string' } },
+          stats: {
+            type: 'object',
+            properties: {
+              additions: { type: 'integer' },
+              deletions: { type: 'integer' },
+              total: { type: 'integer' }
+            }
+          },
+          files: { type: 'array', items: schemas.changedFile }
+        }
+      }
+    },
+    required: ['commit']
+  },
+  async execute({ owner, repo, ref }) {
+    logger.debug('Executing getCommit', { owner, repo, ref });
+    
+    try {
+      const commit = await githubClient.getCommit(owner, repo, ref);
+      
+      return {
+        commit: {
+          ...formatCommit(commit),
+          parents: commit.parents.map(parent => parent.sha),
+          stats: commit.stats,
+          files: (commit.files || []).map(formatChangedFile)
+        }
+      };
+    } catch (error) {
+      logger.error('Error in getCommit', { error: error.message, owner, repo, ref });
+      throw error;
+    }
+  }
+};
+
+/**
+ * Compare two refs
+ */
+const compareRefs = {
+  description: 'Compare two branches, tags or commits, returning the commits and files changed between them',
+  annotations: {
+    readOnlyHint: true
+  },
+  inputSchema: {
+    type: 'object',
+    properties: {
+      owner: schemas.owner,
+      repo: schemas.repo,
+      base: {
+        type: 'string',
+        minLength: 1,
+        description: 'Base branch, tag or commit SHA'
+      },
+      head: {
+        type: 'string',
+        minLength: 1,
+        description: 'Head branch, tag or commit SHA'
+      }
+    },
+    required: ['owner', 'repo', 'base', 'head'],
+    additionalProperties: false
+  },
+  outputSchema: {
+    type: 'object',
+    properties: {
+      status: {
+        type: 'string',
+        description: 'Relationship of head to base (ahead, behind, diverged or identical)'
+      },
+      aheadBy: { type: 'integer' },
+      behindBy: { type: 'integer' },
+      totalCommits: { type: 'integer' },
+      commits: { type: 'array', items: schemas.commit },
+      files: { type: 'array', items: schemas.changedFile },
+      url: { type: 'string' }
+    },
+    required: ['status', 'commits', 'files']
+  },
+  async execute({ owner, repo, base, head }) {
+    logger.debug('Executing compareRefs', { owner, repo, base, head });
+    
+    try {
+      const comparison = await githubClient.compareRefs(owner, repo, base, head);
+      
+      return {
+        status: comparison.status,
+        aheadBy: comparison.ahead_by,
+        behindBy: comparison.behind_by,
+        totalCommits: comparison.total_commits,
+        commits: comparison.commits.map(formatCommit),
+        files: (comparison.files || []).map(formatChangedFile),
+        url: comparison.html_url
+      };
+    } catch (error) {
+      logger.error('Error in compareRefs', { error: error.message, owner, repo, base, head });
+      throw error;
+    }
+  }
+};
+
+/**
+ * Get blame information for a file
+ */
+const getBlame = {
+  description: 'Get blame for a file: which commit and author last changed each range of lines',
+  annotations: {
+    readOnlyHint: true
+  },
+  inputSchema: {
+    type: 'object',
+    properties: {
+      owner: schemas.owner,
+      repo: schemas.repo,
+      path: {
+        type: 'string',
+        minLength: 1,
+        description: 'File path within the repository'
+      },
+      ref: schemas.ref,
+      startLine: {
+        type: 'integer',
+        minimum: 1,
+        description: 'Only return ranges that end at or after this line'
+      },
+      endLine: {
+        type: 'integer',
+        minimum: 1,
+        description: 'Only return ranges that start at or before this line'
+      }
+    },
+    required: ['owner', 'repo', 'path'],
+    additionalProperties: false
+  },
+  outputSchema: {
+    type: 'object',
+    properties: {
+      path: { type: 'string' },
+      commitSha: {
+        type: 'string',
+        description: 'Commit the blame was computed at'
+      },
+      ranges: {
+        type: 'array',
+        description: 'Line ranges with the commit that last changed them',
+        items: {
+          type: 'object',
+          properties: {
+            startLine: { type: 'integer' },
+            endLine: { type: 'integer' },
+            age: {
+              type: 'integer',
+              description: 'Recency of the change from 1 (newest) to 10 (oldest)'
+            },
+            commit: {
+              type: 'object',
+              properties: {
+                sha: { type: 'string' },
+                message: { type: 'string' },
+                date: { type: 'string' },
+                url: { type: 'string' }
+              }
+            },
+            author: {
+              type: 'object',
+              properties: {
+                name: schemas.nullableString,
+                email: schemas.nullableString,
+                login: schemas.nullableString
+              }
+            }
+          }
+        }
+      }
+    },
+    required: ['path', 'ranges']
+  },
+  async execute({ owner, repo, path, ref, startLine, endLine }) {
+    logger.debug('Executing getBlame', { owner, repo, path, ref });
+    
+    try {
+      const blame = await githubClient.getBlame(owner, repo, path, ref);
+      
+      const ranges = blame.blame.ranges
+        .filter(range => (startLine === undefined || range.endingLine >= startLine) &&
+          (endLine === undefined || range.startingLine <= endLine))
+        .map(range => ({
+          startLine: range.startingLine,
+          endLine: range.endingLine,
+          age: range.age,
+          commit: {
+            sha: range.commit.oid,
+            message: range.commit.messageHeadline,
+            date: range.commit.committedDate,
+            url: range.commit.url
+          },
+          author: {
+            name: range.commit.author && range.commit.author.name,
+            email: range.commit.author && range.commit.author.email,
+            login: range.commit.author && range.commit.author.user ? range.commit.author.user.login : null
+          }
+        }));
+      
+      return {
+        path,
+        commitSha: blame.oid,
+        ranges
+      };
+    } catch (error) {
+      logger.error('Error in getBlame', { error: error.message, owner, repo, path, ref });
+      throw error;
+    }
+  }
+};
+
+module.exports = {
+  'listCommits': listCommits,
+  'getCommit': getCommit,
+  'compareRefs': compareRefs,
+  'getBlame': getBlame
+};
+
+// Made with Bob
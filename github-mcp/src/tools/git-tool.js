@@ -0,0 +1,351 @@
+const githubClient = require('../github/client');
+const notifications = require('../mcp/notifications');
+const schemas = require('./schemas');
+const { ValidationError } = require('../utils/errors');
+const logger = require('../utils/logger');
+
+const branch = {
+  type: 'string',
+  pattern: '^(?!/)(?!.*//)(?!.*\\.\\.)[^\\s~^:?*\\[\\\\]+(?<!/)(?<!\\.lock)$',
+  description: 'Branch name'
+};
+
+const blobSha = {
+  type: 'string',
+  pattern: '^[0-9a-f]{40}$',
+  description: 'Blob SHA of the file as last read (from getRepositoryCode)'
+};
+
+const encoding = {
+  type: 'string',
+  enum: ['utf-8', 'base64'],
+  default: 'utf-8',
+  description: 'Encoding of content: utf-8 text or base64 for binary files'
+};
+
+const commitResult = {
+  type: 'object',
+  description: 'Created commit',
+  properties: {
+    sha: { type: 'string' },
+    message: { type: 'string' },
+    url: { type: 'string' }
+  }
+};
+
+/**
+ * Announce changed files to clients subscribed to them on the branch
+ */
+function announceFiles(owner, repo, branchName, paths) {
+  paths.forEach(path => {
+    notifications.resourceUpdated(`github://repository/${owner}/${repo}@${encodeURIComponent(branchName)}/file/${path}`);
+  });
+}
+
+/**
+ * Create a branch
+ */
+const createBranch = {
+  description: 'Create a branch in a GitHub repository from a branch, tag or commit',
+  annotations: {
+    readOnlyHint: false,
+    destructiveHint: false
+  },
+  inputSchema: {
+    type: 'object',
+    properties: {
+      owner: schemas.owner,
+      repo: schemas.repo,
+      branch,
+      fromRef: {
+        ...schemas.ref,
+        description: 'Branch, tag or commit SHA to start from (defaults to the default branch)'
+      }
+    },
+    required: ['owner', 'repo', 'branch'],
+    additionalProperties: false
+  },
+  outputSchema: {
+    type: 'object',
+    properties: {
+      branch: { type: 'string' },
+      sha: {
+        type: 'string',
+        description: 'Commit the branch points at'
+      }
+    },
+    required: ['branch', 'sha']
+  },
+  async execute({ owner, repo, branch, fromRef }) {
+    logger.debug('Executing createBranch', { owner, repo, branch, fromRef });
+    
+    try {
+      const ref = await githubClient.createBranch(owner, repo, branch, fromRef);
+      
+      return {
+        branch,
+        sha: ref.object.sha
+      };
+    } catch (error) {
+      logger.error('Error in createBranch', { error: error.message, owner, repo, branch });
+      throw error;
+    }
+  }
+};
+
+/**
+ * Create or update a single file
+ */
+const createOrUpdateFile = {
+  description: 'Create a file, or update one by passing the blob SHA you last read as expectedSha. The update is refused if the file changed since.',
+  annotations: {
+    readOnlyHint: false,
+    destructiveHint: true
+  },
+  inputSchema: {
+    type: 'object',
+    properties: {
+      owner: schemas.owner,
+      repo: schemas.repo,
+      path: {
+        type: 'string',
+        minLength: 1,
+        description: 'File path within the repository'
+      },
+      content: {
+        type: 'string',
+        description: 'New file content'
+      },
+      encoding,
+      message: {
+        type: 'string',
+        minLength: 1,
+        description: 'Commit message'
+      },
+      branch: {
+        ...branch,
+        description: 'Branch to commit to (defaults to the default branch)'
+      },
+      expectedSha: {
+        ...blobSha,
+        description: 'Current blob SHA of the file; required to update an existing file, omit to create a new one'
+      }
+    },
+    required: ['owner', 'repo', 'path', 'content', 'message'],
+    additionalProperties: false
+  },
+  outputSchema: {
+    type: 'object',
+    properties: {
+      path: { type: 'string' },
+      sha: {
+        type: 'string',
+        description: 'New blob SHA of the file'
+      },
+      commit: commitResult
+    },
+    required: ['path', 'sha', 'commit']
+  },
+  async execute({ owner, repo, path, content, encoding, message, branch, expectedSha }) {
+    logger.debug('Executing createOrUpdateFile', { owner, repo, path, branch, expectedSha });
+    
+    try {
+      const targetBranch = branch || await githubClient.getDefaultBranch(owner, repo);
+      const result = await githubClient.createOrUpdateFile(owner, repo, path, {
+        content,
+        encoding,
+        message,
+        branch: targetBranch,
+        expectedSha
+      });
+      announceFiles(owner, repo, targetBranch, [path]);
+      
+      return {
+        path: result.content.path,
+        sha: result.content.sha,
+        commit: {
+          sha: result.commit.sha,
+          message: result.commit.message,
+          url: result.commit.html_url
+        }
+      };
+    } catch (error) {
+      logger.error('Error in createOrUpdateFile', { error: error.message, owner, repo, path });
+      throw error;
+    }
+  }
+};
+
+/**
+ * Delete a single file
+ */
+const deleteFile = {
+  description: 'Delete a file. The delete is refused if the file changed since the blob SHA you last read.',
+  annotations: {
+    readOnlyHint: false,
+    destructiveHint: true
+  },
+  inputSchema: {
+    type: 'object',
+    properties: {
+      owner: schemas.owner,
+      repo: schemas.repo,
+      path: {
+        type: 'string',
+        minLength: 1,
+        description: 'File path within the repository'
+      },
+      message: {
+        type: 'string',
+        minLength: 1,
+        description: 'Commit message'
+      },
+      branch: {
+        ...branch,
+        description: 'Branch to commit to (defaults to the default branch)'
+      },
+      expectedSha: blobSha
+    },
+    required: ['owner', 'repo', 'path', 'message', 'expectedSha'],
+    additionalProperties: false
+  },
+  outputSchema: {
+    type: 'object',
+    properties: {
+      path: { type: 'string' },
+      commit: commitResult
+    },
+    required: ['path', 'commit']
+  },
+  async execute({ owner, repo, path, message, branch, expectedSha }) {
+    logger.debug('Executing deleteFile', { owner, repo, path, branch, expectedSha });
+    
+    try {
+      const targetBranch = branch || await githubClient.getDefaultBranch(owner, repo);
+      const result = await githubClient.deleteFile(owner, repo, path, { message, branch: targetBranch, expectedSha });
+      announceFiles(owner, repo, targetBranch, [path]);
+      
+      return {
+        path,
+        commit: {
+          sha: result.commit.sha,
+          message: result.commit.message,
+          url: result.commit.html_url
+        }
+      };
+    } catch (error) {
+      logger.error('Error in deleteFile', { error: error.message, owner, repo, path });
+      throw error;
+    }
+  }
+};
+
+/**
+ * Commit changes to several files in one commit
+ */
+const commitFiles = {
+  description: 'Create, update and delete several files in a single commit on a branch',
+  annotations: {
+    readOnlyHint: false,
+    destructiveHint: true
+  },
+  inputSchema: {
+    type: 'object',
+    properties: {
+      owner: schemas.owner,
+      repo: schemas.repo,
+      branch,
+      message: {
+        type: 'string',
+        minLength: 1,
+        description: 'Commit message'
+      },
+      files: {
+        type: 'array',
+        minItems: 1,
+        maxItems: 100,
+        description: 'File changes: give content to write a file or delete: true to remove it',
+        items: {
+          type: 'object',
+          properties: {
+            path: {
+              type: 'string',
+              minLength: 1,
+              description: 'File path within the repository'
+            },
+            content: {
+              type: 'string',
+              description: 'New file content'
+            },
+            encoding,
+            delete: {
+              type: 'boolean',
+              description: 'Delete the file instead of writing it'
+            }
+          },
+          required: ['path'],
+          additionalProperties: false
+        }
+      },
+      expectedHeadSha: {
+        type: 'string',
+        pattern: '^[0-9a-f]{40}$',
+        description: 'Commit the branch is expected to be at; the commit is refused if it has moved'
+      }
+    },
+    required: ['owner', 'repo', 'branch', 'message', 'files'],
+    additionalProperties: false
+  },
+  outputSchema: {
+    type: 'object',
+    properties: {
+      branch: { type: 'string' },
+      commit: commitResult,
+      files: {
+        type: 'array',
+        items: { type: 'string' }
+      }
+    },
+    required: ['branch', 'commit', 'files']
+  },
+  async execute({ owner, repo, branch, message, files, expectedHeadSha }) {
+    logger.debug('Executing commitFiles', { owner, repo, branch, files: files.length });
+    
+    const errors = [];
+    files.forEach((file, index) => {
+      if (file.delete ? file.content !== undefined : file.content === undefined) {
+        errors.push({ field: `files.${index}`, message: 'must have either content or delete: true' });
+      }
+    });
+    if (errors.length > 0) {
+      throw new ValidationError(`Invalid input for tool 'commitFiles': ${errors.map(error => `${error.field} ${error.message}`).join('; ')}`, errors);
+    }
+    
+    try {
+      const commit = await githubClient.commitFiles(owner, repo, branch, message, files, expectedHeadSha);
+      announceFiles(owner, repo, branch, files.map(file => file.path));
+      
+      return {
+        branch,
+        commit: {
+          sha: commit.sha,
+          message: commit.message,
+          url: commit.html_url
+        },
+        files: files.map(file => file.path)
+      };
+    } catch (error) {
+      logger.error('Error in commitFiles', { error: error.message, owner, repo, branch });
+      throw error;
+    }
+  }
+};
+
+module.exports = {
+  'createBranch': createBranch,
+  'createOrUpdateFile': createOrUpdateFile,
+  'deleteFile': deleteFile,
+  'commitFiles': commitFiles
+};
+
+// Made with Bob
@@ -1,21 +1,91 @@
+const Ajv = require('ajv');
+const addFormats = require('ajv-formats');
 const codeTool = require('./code-tool');
 const issuesTool = require('./issues-tool');
+const pullsTool = require('./pulls-tool');
+const commitsTool = require('./commits-tool');
+const gitTool = require('./git-tool');
+const auth = require('../auth');
+const policy = require('../policy');
+const { ValidationError, ForbiddenError } = require('../utils/errors');
+const metrics = require('../utils/metrics');
+const tracing = require('../utils/tracing');
 
 // Combine all tools
 const allTools = {
   ...codeTool,
-  ...issuesTool
+  ...issuesTool,
+  ...pullsTool,
+  ...commitsTool,
+  ...gitTool
 };
 
+// Read-only mode and scopes rely on every tool saying whether it writes, so one that doesn't is a bug
+for (const [name, tool] of Object.entries(allTools)) {
+  if (!tool.annotations || typeof tool.annotations.readOnlyHint !== 'boolean') {
+    throw new Error(`Tool '${name}' must declare annotations.readOnlyHint`);
+  }
+}
+
+// Compile each tool's input schema once; defaults are filled in during validation
+const ajv = new Ajv({ allErrors: true, useDefaults: true });
+addFormats(ajv);
+
+const validators = Object.fromEntries(
+  Object.entries(allTools).map(([name, tool]) => [name, ajv.compile(tool.inputSchema)])
+);
+
+/**
+ * Describe one Ajv error as a field and message
+ */
+function formatValidationError(error) {
+  const field = error.instancePath.replace(/^\//, '').replace(/\//g, '.');
+
+  switch (error.keyword) {
+    case 'required':
+      return { field: field ? `${field}.${error.params.missingProperty}` : error.params.missingProperty, message: 'is required' };
+    case 'additionalProperties':
+      return { field: field ? `${field}.${error.params.additionalProperty}` : error.params.additionalProperty, message: 'is not a known parameter' };
+    case 'enum':
+      return { field, message: `must be one of: ${error.params.allowedValues.join(', ')}` };
+    default:
+      return { field: field || '(input)', message: error.message };
+  }
+}
+
+/**
+ * Validate input against a tool's schema, throwing a ValidationError listing every failing field
+ */
+function validateInput(name, input) {
+  const validate = validators[name];
+
+  if (!validate(input)) {
+    const errors = validate.errors.map(formatValidationError);
+    throw new ValidationError(
+      `Invalid input for tool '${name}': ${errors.map(error => `${error.field} ${error.message}`).join('; ')}`,
+      errors
+    );
+  }
+}
+
 /**
- * Get a list of all available tools with their metadata
+ * Check whether the server's policy and the caller's scopes allow a tool
+ */
+function isToolAvailable(name) {
+  const write = isWriteTool(name);
+  return policy.isToolEnabled(write) && auth.canCallTool(name, write);
+}
+
+/**
+ * Get a list of the tools the caller may use, with their metadata
  */
 function listTools() {
-  return Object.entries(allTools).map(([name, tool]) => ({
+  return Object.entries(allTools).filter(([name]) => isToolAvailable(name)).map(([name, tool]) => ({
     name,
     description: tool.description,
-    parameters: tool.parameters,
-    returns: tool.returns
+    inputSchema: tool.inputSchema,
+    outputSchema: tool.outputSchema,
+    annotations: tool.annotations
   }));
 }
 
@@ -23,12 +93,59 @@ function listTools() {
  * Get a specific tool by name
  */
 function getTool(name) {
-  return allTools[name];
+  return Object.prototype.hasOwnProperty.call(allTools, name) ? allTools[name] : undefined;
+}
+
+/**
+ * Check whether a tool may change anything on GitHub; only tools marked read-only are taken not to
+ */
+function isWriteTool(name) {
+  const tool = getTool(name);
+  return !(tool && tool.annotations && tool.annotations.readOnlyHint === true);
+}
+
+/**
+ * Validate input and execute a tool in a span, recording the call's outcome and latency
+ */
+async function callTool(name, input = {}) {
+  const tool = getTool(name);
+  if (!tool) {
+    throw new Error(`Tool '${name}' not found`);
+  }
+
+  const attributes = { 'mcp.tool.name': name, ...tracing.repositoryAttributes(input) };
+
+  return tracing.withSpan(`tool ${name}`, { attributes }, async span => {
+    const endTimer = metrics.toolCallDuration.startTimer({ tool: name });
+    let outcome = 'success';
+
+    try {
+      const write = isWriteTool(name);
+      auth.authorizeTool(name, write);
+
+      // Validation fills in defaults, so work on a copy of the caller's input
+      const args = { ...input };
+      validateInput(name, args);
+      policy.checkToolCall(name, args, write);
+
+      return await tool.execute(args);
+    } catch (error) {
+      outcome = error instanceof ValidationError ? 'invalid' : error instanceof ForbiddenError ? 'forbidden' : 'error';
+      throw error;
+    } finally {
+      span.setAttribute('mcp.tool.outcome', outcome);
+      metrics.toolCalls.inc({ tool: name, outcome });
+      endTimer({ outcome });
+    }
+  });
 }
 
 module.exports = {
   listTools,
-  getTool
+  getTool,
+  callTool,
+  validateInput,
+  isWriteTool
 };
 
 // Made with Bob
@@ -1,103 +1,316 @@
-const winston = require('winston');
 const githubClient = require('../github/client');
+const notifications = require('../mcp/notifications');
+const schemas = require('./schemas');
+const { buildIssueQuery } = require('../github/query');
+const { ValidationError } = require('../utils/errors');
+const logger = require('../utils/logger');
 
-// Create logger
-const logger = winston.createLogger({
-  level: process.env.LOG_LEVEL || 'info',
-  format: winston.format.combine(
-    winston.format.timestamp(),
-    winston.format.json()
-  ),
-  transports: [
-    new winston.transports.Console()
-  ]
-});
+/**
+ * Map a GitHub issue to the shape returned by the tools
+ */
+function formatIssue(issue) {
+  return {
+    number: issue.number,
+    title: issue.title,
+    state: issue.state,
+    state_reason: issue.state_reason,
+    body: issue.body,
+    user: {
+      login: issue.user.login,
+      avatar_url: issue.user.avatar_url,
+      url: issue.user.html_url
+    },
+    labels: issue.labels.map(label => ({
+      name: label.name,
+      color: label.color
+    })),
+    assignees: issue.assignees.map(assignee => assignee.login),
+    milestone: issue.milestone ? { number: issue.milestone.number, title: issue.milestone.title } : null,
+    locked: issue.locked,
+    created_at: issue.created_at,
+    updated_at: issue.updated_at,
+    closed_at: issue.closed_at,
+    url: issue.html_url
+  };
+}
+
+/**
+ * Format an issue comment
+ */
+function formatComment(comment) {
+  return {
+    id: comment.id,
+    body: comment.body,
+    user: {
+      login: comment.user.login,
+      avatar_url: comment.user.avatar_url,
+      url: comment.user.html_url
+    },
+    created_at: comment.created_at,
+    updated_at: comment.updated_at,
+    url: comment.html_url
+  };
+}
+
+/**
+ * Announce a changed issue to subscribed clients
+ */
+function announceIssue(owner, repo, issueNumber) {
+  notifications.resourceUpdated(`github://repository/${owner}/${repo}/issues`);
+  notifications.resourceUpdated(`github://repository/${owner}/${repo}/issues/${issueNumber}`);
+}
 
 /**
  * Get issues from a GitHub repository
  */
 const getIssues = {
   description: 'Get issues from a GitHub repository',
-  parameters: {
-    owner: {
-      type: 'string',
-      description: 'Repository owner (user or organization)'
-    },
-    repo: {
-      type: 'string',
-      description: 'Repository name'
-    },
-    state: {
-      type: 'string',
-      description: 'Issue state (open, closed, all)',
-      optional: true
-    },
-    labels: {
-      type: 'string',
-      description: 'Comma-separated list of label names',
-      optional: true
+  annotations: {
+    readOnlyHint: true
+  },
+  inputSchema: {
+    type: 'object',
+    properties: {
+      owner: schemas.owner,
+      repo: schemas.repo,
+      state: {
+        type: 'string',
+        enum: ['open', 'closed', 'all'],
+        description: 'Issue state'
+      },
+      labels: {
+        type: 'string',
+        description: 'Comma-separated list of label names'
+      },
+      sort: {
+        type: 'string',
+        enum: ['created', 'updated', 'comments'],
+        description: 'What to sort results by'
+      },
+      direction: {
+        type: 'string',
+        enum: ['asc', 'desc'],
+        description: 'The direction of the sort'
+      },
+      since: {
+        type: 'string',
+        format: 'date-time',
+        description: 'Only issues updated at or after this time are returned (ISO 8601)'
+      },
+      per_page: schemas.perPage,
+      page: schemas.page,
+      cursor: schemas.cursor,
+      maxItems: schemas.maxItems
     },
-    sort: {
-      type: 'string',
-      description: 'What to sort results by (created, updated, comments)',
-      optional: true
+    required: ['owner', 'repo'],
+    additionalProperties: false
+  },
+  outputSchema: {
+    type: 'object',
+    properties: {
+      issues: {
+        type: 'array',
+        description: 'List of issues',
+        items: schemas.issue
+      },
+      nextCursor: schemas.nextCursor
     },
-    direction: {
+    required: ['issues']
+  },
+  async execute({ owner, repo, ...options }) {
+    logger.debug('Executing getIssues', { owner, repo, options });
+    
+    try {
+      const { items: issues, nextCursor } = await githubClient.getIssues(owner, repo, options);
+      
+      return {
+        issues: issues.map(formatIssue),
+        nextCursor
+      };
+    } catch (error) {
+      logger.error('Error in getIssues', { error: error.message, owner, repo });
+      throw error;
+    }
+  }
+};
+
+const login = {
+  type: 'string',
+  pattern: '^(?:app/)?[A-Za-z0-9](?:[A-Za-z0-9-]{0,38})(?:\\[bot\\])?$',
+  description: 'GitHub login'
+};
+
+const dateRange = {
+  type: 'object',
+  properties: {
+    from: {
       type: 'string',
-      description: 'The direction of the sort (asc or desc)',
-      optional: true
+      format: 'date',
+      description: 'On or after this date (YYYY-MM-DD)'
     },
-    since: {
+    to: {
       type: 'string',
-      description: 'Only issues updated at or after this time are returned (ISO 8601)',
-      optional: true
+      format: 'date',
+      description: 'On or before this date (YYYY-MM-DD)'
+    }
+  },
+  additionalProperties: false
+};
+
+/**
+ * Search issues or pull requests across repositories
+ */
+const searchIssues = {
+  description: 'Search issues or pull requests across repositories and organizations. Filters are combined into a GitHub search query; results are ranked by relevance unless sorted, and include the text fragments that matched.',
+  annotations: {
+    readOnlyHint: true
+  },
+  inputSchema: {
+    type: 'object',
+    properties: {
+      text: {
+        type: 'string',
+        minLength: 1,
+        description: 'Free text to search titles, bodies and comments for'
+      },
+      type: {
+        type: 'string',
+        enum: ['issue', 'pr'],
+        description: 'Only issues or only pull requests (defaults to both)'
+      },
+      state: {
+        type: 'string',
+        enum: ['open', 'closed'],
+        description: 'Only open or only closed results'
+      },
+      org: {
+        ...schemas.owner,
+        description: 'Only repositories owned by this user or organization'
+      },
+      repos: {
+        type: 'array',
+        items: {
+          type: 'string',
+          pattern: '^[A-Za-z0-9](?:[A-Za-z0-9-]{0,38})/[A-Za-z0-9._-]{1,100}$'
+        },
+        description: 'Only these repositories (owner/repo)'
+      },
+      labels: {
+        type: 'array',
+        items: { type: 'string', minLength: 1 },
+        description: 'Only results that have all of these labels'
+      },
+      author: {
+        ...login,
+        description: 'Only results opened by this user'
+      },
+      assignee: {
+        ...login,
+        description: "Only results assigned to this user, or 'none' for unassigned"
+      },
+      created: {
+        ...dateRange,
+        description: 'Created within this date range'
+      },
+      updated: {
+        ...dateRange,
+        description: 'Last updated within this date range'
+      },
+      sort: {
+        type: 'string',
+        enum: ['comments', 'reactions', 'interactions', 'created', 'updated'],
+        description: 'What to sort results by (defaults to best match)'
+      },
+      order: {
+        type: 'string',
+        enum: ['asc', 'desc'],
+        description: 'The direction of the sort'
+      },
+      per_page: schemas.perPage,
+      cursor: schemas.cursor,
+      maxItems: schemas.maxItems
     },
-    per_page: {
-      type: 'number',
-      description: 'Number of results per page (max 100)',
-      optional: true
+    additionalProperties: false
+  },
+  outputSchema: {
+    type: 'object',
+    properties: {
+      query: {
+        type: 'string',
+        description: 'The GitHub search query that was run'
+      },
+      totalCount: {
+        type: 'integer',
+        description: 'Total number of matches'
+      },
+      incompleteResults: {
+        type: 'boolean',
+        description: 'True when GitHub timed out before finding every match'
+      },
+      items: {
+        type: 'array',
+        description: 'Matching issues or pull requests, best match first',
+        items: {
+          ...schemas.issue,
+          properties: {
+            ...schemas.issue.properties,
+            repository: { type: 'string' },
+            type: { type: 'string' },
+            comments: { type: 'integer' },
+            score: { type: 'number' },
+            textMatches: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: {
+                  property: { type: 'string' },
+                  fragment: { type: 'string' },
+                  matches: { type: 'array', items: { type: 'string' } }
+                }
+              }
+            }
+          }
+        }
+      },
+      nextCursor: schemas.nextCursor
     },
-    page: {
-      type: 'number',
-      description: 'Page number of the results to fetch',
-      optional: true
-    }
+    required: ['query', 'totalCount', 'items']
   },
-  returns: {
-    issues: {
-      type: 'array',
-      description: 'List of issues'
+  async execute({ sort, order, per_page, cursor, maxItems, ...filters }) {
+    const query = buildIssueQuery(filters);
+    logger.debug('Executing searchIssues', { query, sort, order });
+    
+    if (!query) {
+      throw new ValidationError(`Invalid input for tool 'searchIssues': nothing to search for`, [
+        { field: '(input)', message: 'must give text, type or at least one filter' }
+      ]);
     }
-  },
-  async execute({ owner, repo, ...options }) {
-    logger.debug('Executing getIssues', { owner, repo, options });
     
     try {
-      const issues = await githubClient.getIssues(owner, repo, options);
+      // Search as the org or first repository's owner when there is one
+      const owner = filters.org || (filters.repos && filters.repos.length > 0 ? filters.repos[0].split('/')[0] : undefined);
+      const results = await githubClient.searchIssues(owner, query, { sort, order, per_page, cursor, maxItems });
       
       return {
-        issues: issues.map(issue => ({
-          number: issue.number,
-          title: issue.title,
-          state: issue.state,
-          body: issue.body,
-          user: {
-            login: issue.user.login,
-            avatar_url: issue.user.avatar_url,
-            url: issue.user.html_url
-          },
-          labels: issue.labels.map(label => ({
-            name: label.name,
-            color: label.color
-          })),
-          created_at: issue.created_at,
-          updated_at: issue.updated_at,
-          closed_at: issue.closed_at,
-          url: issue.html_url
-        }))
+        query,
+        totalCount: results.totalCount,
+        incompleteResults: results.incompleteResults,
+        items: results.items.map(item => ({
+          ...formatIssue(item),
+          repository: item.repository_url.split('/repos/')[1],
+          type: item.pull_request ? 'pr' : 'issue',
+          comments: item.comments,
+          score: item.score,
+          textMatches: (item.text_matches || []).map(match => ({
+            property: match.property,
+            fragment: match.fragment,
+            matches: match.matches.map(term => term.text)
+          }))
+        })),
+        nextCursor: results.nextCursor
       };
     } catch (error) {
-      logger.error('Error in getIssues', { error: error.message, owner, repo });
+      logger.error('Error in searchIssues', { error: error.message, query });
       throw error;
     }
   }
@@ -108,25 +321,28 @@ const getIssues = {
  */
 const getIssue = {
   description: 'Get a specific issue from a GitHub repository',
-  parameters: {
-    owner: {
-      type: 'string',
-      description: 'Repository owner (user or organization)'
-    },
-    repo: {
-      type: 'string',
-      description: 'Repository name'
+  annotations: {
+    readOnlyHint: true
+  },
+  inputSchema: {
+    type: 'object',
+    properties: {
+      owner: schemas.owner,
+      repo: schemas.repo,
+      issueNumber: schemas.issueNumber
     },
-    issueNumber: {
-      type: 'number',
-      description: 'Issue number'
-    }
+    required: ['owner', 'repo', 'issueNumber'],
+    additionalProperties: false
   },
-  returns: {
-    issue: {
-      type: 'object',
-      description: 'Issue details'
-    }
+  outputSchema: {
+    type: 'object',
+    properties: {
+      issue: {
+        ...schemas.issue,
+        description: 'Issue details'
+      }
+    },
+    required: ['issue']
   },
   async execute({ owner, repo, issueNumber }) {
     logger.debug('Executing getIssue', { owner, repo, issueNumber });
@@ -135,25 +351,7 @@ const getIssue = {
       const issue = await githubClient.getIssue(owner, repo, issueNumber);
       
       return {
-        issue: {
-          number: issue.number,
-          title: issue.title,
-          state: issue.state,
-          body: issue.body,
-          user: {
-            login: issue.user.login,
-            avatar_url: issue.user.avatar_url,
-            url: issue.user.html_url
-          },
-          labels: issue.labels.map(label => ({
-            name: label.name,
-            color: label.color
-          })),
-          created_at: issue.created_at,
-          updated_at: issue.updated_at,
-          closed_at: issue.closed_at,
-          url: issue.html_url
-        }
+        issue: formatIssue(issue)
       };
     } catch (error) {
       logger.error('Error in getIssue', { error: error.message, owner, repo, issueNumber });
@@ -167,40 +365,56 @@ const getIssue = {
  */
 const createIssue = {
   description: 'Create a new issue in a GitHub repository',
-  parameters: {
-    owner: {
-      type: 'string',
-      description: 'Repository owner (user or organization)'
-    },
-    repo: {
-      type: 'string',
-      description: 'Repository name'
-    },
-    title: {
-      type: 'string',
-      description: 'Issue title'
-    },
-    body: {
-      type: 'string',
-      description: 'Issue body'
+  annotations: {
+    readOnlyHint: false,
+    destructiveHint: false
+  },
+  inputSchema: {
+    type: 'object',
+    properties: {
+      owner: schemas.owner,
+      repo: schemas.repo,
+      title: {
+        type: 'string',
+        minLength: 1,
+        description: 'Issue title'
+      },
+      body: {
+        type: 'string',
+        description: 'Issue body'
+      },
+      labels: {
+        type: 'array',
+        items: { type: 'string' },
+        description: 'Array of label names'
+      }
     },
-    labels: {
-      type: 'array',
-      description: 'Array of label names',
-      optional: true
-    }
+    required: ['owner', 'repo', 'title', 'body'],
+    additionalProperties: false
   },
-  returns: {
-    issue: {
-      type: 'object',
-      description: 'Created issue'
-    }
+  outputSchema: {
+    type: 'object',
+    properties: {
+      issue: {
+        type: 'object',
+        description: 'Created issue',
+        properties: {
+          number: { type: 'integer' },
+          title: { type: 'string' },
+          state: { type: 'string' },
+          body: schemas.nullableString,
+          url: { type: 'string' }
+        }
+      }
+    },
+    required: ['issue']
   },
   async execute({ owner, repo, title, body, labels = [] }) {
     logger.debug('Executing createIssue', { owner, repo, title });
     
     try {
       const issue = await githubClient.createIssue(owner, repo, title, body, labels);
+      notifications.resourceUpdated(`github://repository/${owner}/${repo}/issues`);
       
       return {
         issue: {
@@ -223,49 +437,45 @@ const createIssue = {
  */
 const commentOnIssue = {
   description: 'Add a comment to an existing issue',
-  parameters: {
-    owner: {
-      type: 'string',
-      description: 'Repository owner (user or organization)'
-    },
-    repo: {
-      type: 'string',
-      description: 'Repository name'
-    },
-    issueNumber: {
-      type: 'number',
-      description: 'Issue number'
+  annotations: {
+    readOnlyHint: false,
+    destructiveHint: false
+  },
+  inputSchema: {
+    type: 'object',
+    properties: {
+      owner: schemas.owner,
+      repo: schemas.repo,
+      issueNumber: schemas.issueNumber,
+      body: {
+        type: 'string',
+        minLength: 1,
+        description: 'Comment body'
+      }
     },
-    body: {
-      type: 'string',
-      description: 'Comment body'
-    }
+    required: ['owner', 'repo', 'issueNumber', 'body'],
+    additionalProperties: false
   },
-  returns: {
-    comment: {
-      type: 'object',
-      description: 'Created comment'
-    }
+  outputSchema: {
+    type: 'object',
+    properties: {
+      comment: {
+        ...schemas.comment,
+        description: 'Created comment'
+      }
+    },
+    required: ['comment']
   },
   async execute({ owner, repo, issueNumber, body }) {
     logger.debug('Executing commentOnIssue', { owner, repo, issueNumber });
     
     try {
       const comment = await githubClient.commentOnIssue(owner, repo, issueNumber, body);
+      announceIssue(owner, repo, issueNumber);
+      notifications.resourceUpdated(`github://repository/${owner}/${repo}/issues/${issueNumber}/comments`);
       
       return {
-        comment: {
-          id: comment.id,
-          body: comment.body,
-          user: {
-            login: comment.user.login,
-            avatar_url: comment.user.avatar_url,
-            url: comment.user.html_url
-          },
-          created_at: comment.created_at,
-          updated_at: comment.updated_at,
-          url: comment.html_url
-        }
+        comment: formatComment(comment)
       };
     } catch (error) {
       logger.error('Error in commentOnIssue', { error: error.message, owner, repo, issueNumber });
@@ -274,11 +484,326 @@ const commentOnIssue = {
   }
 };
 
+/**
+ * List the comments on an issue
+ */
+const listIssueComments = {
+  description: 'List the comments on an issue',
+  annotations: {
+    readOnlyHint: true
+  },
+  inputSchema: {
+    type: 'object',
+    properties: {
+      owner: schemas.owner,
+      repo: schemas.repo,
+      issueNumber: schemas.issueNumber,
+      since: {
+        type: 'string',
+        format: 'date-time',
+        description: 'Only comments updated at or after this time are returned (ISO 8601)'
+      },
+      per_page: schemas.perPage,
+      page: schemas.page,
+      cursor: schemas.cursor,
+      maxItems: schemas.maxItems
+    },
+    required: ['owner', 'repo', 'issueNumber'],
+    additionalProperties: false
+  },
+  outputSchema: {
+    type: 'object',
+    properties: {
+      comments: {
+        type: 'array',
+        description: 'Comments, oldest first',
+        items: schemas.comment
+      },
+      nextCursor: schemas.nextCursor
+    },
+    required: ['comments']
+  },
+  async execute({ owner, repo, issueNumber, ...options }) {
+    logger.debug('Executing listIssueComments', { owner, repo, issueNumber, options });
+    
+    try {
+      const { items: comments, nextCursor } = await githubClient.listIssueComments(owner, repo, issueNumber, options);
+      
+      return {
+        comments: comments.map(formatComment),
+        nextCursor
+      };
+    } catch (error) {
+      logger.error('Error in listIssueComments', { error: error.message, owner, repo, issueNumber });
+      throw error;
+    }
+  }
+};
+
+/**
+ * Update an existing issue
+ */
+const updateIssue = {
+  description: 'Update an issue: title, body, open/closed state with a reason, assignees, labels or milestone. Assignees and labels replace the current ones.',
+  annotations: {
+    readOnlyHint: false,
+    destructiveHint: false
+  },
+  inputSchema: {
+    type: 'object',
+    properties: {
+      owner: schemas.owner,
+      repo: schemas.repo,
+      issueNumber: schemas.issueNumber,
+      title: {
+        type: 'string',
+        minLength: 1,
+        description: 'New issue title'
+      },
+      body: {
+        type: 'string',
+        description: 'New issue body'
+      },
+      state: {
+        type: 'string',
+        enum: ['open', 'closed'],
+        description: 'New issue state'
+      },
+      stateReason: {
+        type: 'string',
+        enum: ['completed', 'not_planned', 'duplicate', 'reopened'],
+        description: 'Why the state changed'
+      },
+      assignees: {
+        type: 'array',
+        items: { type: 'string' },
+        maxItems: 10,
+        description: 'Logins to assign; replaces the current assignees (empty array clears them)'
+      },
+      labels: {
+        type: 'array',
+        items: { type: 'string' },
+        description: 'Label names; replaces the current labels (empty array clears them)'
+      },
+      milestone: {
+        type: ['integer', 'null'],
+        minimum: 1,
+        description: 'Milestone number, or null to clear it'
+      }
+    },
+    required: ['owner', 'repo', 'issueNumber'],
+    additionalProperties: false
+  },
+  outputSchema: {
+    type: 'object',
+    properties: {
+      issue: {
+        ...schemas.issue,
+        description: 'Updated issue'
+      }
+    },
+    required: ['issue']
+  },
+  async execute({ owner, repo, issueNumber, stateReason, ...fields }) {
+    logger.debug('Executing updateIssue', { owner, repo, issueNumber, fields: Object.keys(fields) });
+    
+    const changes = { ...fields };
+    if (stateReason !== undefined) {
+      changes.state_reason = stateReason;
+    }
+    
+    if (Object.keys(changes).length === 0) {
+      throw new ValidationError(`Invalid input for tool 'updateIssue': nothing to update`, [
+        { field: '(input)', message: 'must change at least one of title, body, state, stateReason, assignees, labels or milestone' }
+      ]);
+    }
+    
+    try {
+      const issue = await githubClient.updateIssue(owner, repo, issueNumber, changes);
+      announceIssue(owner, repo, issueNumber);
+      
+      return {
+        issue: formatIssue(issue)
+      };
+    } catch (error) {
+      logger.error('Error in updateIssue', { error: error.message, owner, repo, issueNumber });
+      throw error;
+    }
+  }
+};
+
+/**
+ * Add labels to an issue
+ */
+const addLabels = {
+  description: 'Add labels to an issue, keeping the labels it already has',
+  annotations: {
+    readOnlyHint: false,
+    destructiveHint: false
+  },
+  inputSchema: {
+    type: 'object',
+    properties: {
+      owner: schemas.owner,
+      repo: schemas.repo,
+      issueNumber: schemas.issueNumber,
+      labels: {
+        type: 'array',
+        items: { type: 'string', minLength: 1 },
+        minItems: 1,
+        description: 'Label names to add'
+      }
+    },
+    required: ['owner', 'repo', 'issueNumber', 'labels'],
+    additionalProperties: false
+  },
+  outputSchema: {
+    type: 'object',
+    properties: {
+      labels: {
+        type: 'array',
+        description: 'Labels now on the issue',
+        items: schemas.label
+      }
+    },
+    required: ['labels']
+  },
+  async execute({ owner, repo, issueNumber, labels }) {
+    logger.debug('Executing addLabels', { owner, repo, issueNumber, labels });
+    
+    try {
+      const result = await githubClient.addLabels(owner, repo, issueNumber, labels);
+      announceIssue(owner, repo, issueNumber);
+      
+      return {
+        labels: result.map(label => ({
+          name: label.name,
+          color: label.color
+        }))
+      };
+    } catch (error) {
+      logger.error('Error in addLabels', { error: error.message, owner, repo, issueNumber });
+      throw error;
+    }
+  }
+};
+
+/**
+ * Remove a label from an issue
+ */
+const removeLabel = {
+  description: 'Remove a label from an issue',
+  annotations: {
+    readOnlyHint: false,
+    destructiveHint: false
+  },
+  inputSchema: {
+    type: 'object',
+    properties: {
+      owner: schemas.owner,
+      repo: schemas.repo,
+      issueNumber: schemas.issueNumber,
+      label: {
+        type: 'string',
+        minLength: 1,
+        description: 'Label name to remove'
+      }
+    },
+    required: ['owner', 'repo', 'issueNumber', 'label'],
+    additionalProperties: false
+  },
+  outputSchema: {
+    type: 'object',
+    properties: {
+      labels: {
+        type: 'array',
+        description: 'Labels still on the issue',
+        items: schemas.label
+      }
+    },
+    required: ['labels']
+  },
+  async execute({ owner, repo, issueNumber, label }) {
+    logger.debug('Executing removeLabel', { owner, repo, issueNumber, label });
+    
+    try {
+      const result = await githubClient.removeLabel(owner, repo, issueNumber, label);
+      announceIssue(owner, repo, issueNumber);
+      
+      return {
+        labels: result.map(remaining => ({
+          name: remaining.name,
+          color: remaining.color
+        }))
+      };
+    } catch (error) {
+      logger.error('Error in removeLabel', { error: error.message, owner, repo, issueNumber });
+      throw error;
+    }
+  }
+};
+
+/**
+ * Lock an issue's conversation
+ */
+const lockIssue = {
+  description: 'Lock an issue so only collaborators can comment',
+  annotations: {
+    readOnlyHint: false,
+    destructiveHint: false
+  },
+  inputSchema: {
+    type: 'object',
+    properties: {
+      owner: schemas.owner,
+      repo: schemas.repo,
+      issueNumber: schemas.issueNumber,
+      lockReason: {
+        type: 'string',
+        enum: ['off-topic', 'too heated', 'resolved', 'spam'],
+        description: 'Reason shown on the issue'
+      }
+    },
+    required: ['owner', 'repo', 'issueNumber'],
+    additionalProperties: false
+  },
+  outputSchema: {
+    type: 'object',
+    properties: {
+      locked: { type: 'boolean' },
+      lockReason: schemas.nullableString
+    },
+    required: ['locked']
+  },
+  async execute({ owner, repo, issueNumber, lockReason }) {
+    logger.debug('Executing lockIssue', { owner, repo, issueNumber, lockReason });
+    
+    try {
+      await githubClient.lockIssue(owner, repo, issueNumber, lockReason);
+      announceIssue(owner, repo, issueNumber);
+      
+      return {
+        locked: true,
+        lockReason: lockReason || null
+      };
+    } catch (error) {
+      logger.error('Error in lockIssue', { error: error.message, owner, repo, issueNumber });
+      throw error;
+    }
+  }
+};
+
 module.exports = {
   'getIssues': getIssues,
+  'searchIssues': searchIssues,
   'getIssue': getIssue,
   'createIssue': createIssue,
-  'commentOnIssue': commentOnIssue
+  'commentOnIssue': commentOnIssue,
+  'listIssueComments': listIssueComments,
+  'updateIssue': updateIssue,
+  'addLabels': addLabels,
+  'removeLabel': removeLabel,
+  'lockIssue': lockIssue
 };
 
 // Made with Bob
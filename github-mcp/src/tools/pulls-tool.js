@@ -0,0 +1,580 @@
+const githubClient = require('../github/client');
+const notifications = require('../mcp/notifications');
+const schemas = require('./schemas');
+const { sliceText } = require('../utils/content');
+const { ValidationError } = require('../utils/errors');
+const logger = require('../utils/logger');
+
+// Largest diff returned to the model when no smaller limit is requested
+const DEFAULT_DIFF_MAX_BYTES = 200000;
+
+/**
+ * Map a GitHub pull request to the shape returned by the tools
+ */
+function formatPullRequest(pull) {
+  return {
+    number: pull.number,
+    title: pull.title,
+    state: pull.state,
+    draft: pull.draft,
+    merged: pull.merged,
+    body: pull.body,
+    user: {
+      login: pull.user.login,
+      avatar_url: pull.user.avatar_url,
+      url: pull.user.html_url
+    },
+    labels: pull.labels.map(label => ({
+      name: label.name,
+      color: label.color
+    })),
+    head: {
+      ref: pull.head.ref,
+      sha: pull.head.sha
+    },
+    base: {
+      ref: pull.base.ref,
+      sha: pull.base.sha
+    },
+    created_at: pull.created_at,
+    updated_at: pull.updated_at,
+    closed_at: pull.closed_at,
+    merged_at: pull.merged_at,
+    url: pull.html_url
+  };
+}
+
+/**
+ * List pull requests in a GitHub repository
+ */
+const listPullRequests = {
+  description: 'List pull requests in a GitHub repository',
+  annotations: {
+    readOnlyHint: true
+  },
+  inputSchema: {
+    type: 'object',
+    properties: {
+      owner: schemas.owner,
+      repo: schemas.repo,
+      state: {
+        type: 'string',
+        enum: ['open', 'closed', 'all'],
+        description: 'Pull request state'
+      },
+      head: {
+        type: 'string',
+        description: 'Filter by head user or organization and branch name (user:ref-name)'
+      },
+      base: {
+        type: 'string',
+        description: 'Filter by base branch name'
+      },
+      sort: {
+        type: 'string',
+        enum: ['created', 'updated', 'popularity', 'long-running'],
+        description: 'What to sort results by'
+      },
+      direction: {
+        type: 'string',
+        enum: ['asc', 'desc'],
+        description: 'The direction of the sort'
+      },
+      per_page: schemas.perPage,
+      page: schemas.page,
+      cursor: schemas.cursor,
+      maxItems: schemas.maxItems
+    },
+    required: ['owner', 'repo'],
+    additionalProperties: false
+  },
+  outputSchema: {
+    type: 'object',
+    properties: {
+      pullRequests: {
+        type: 'array',
+        description: 'List of pull requests',
+        items: schemas.pullRequest
+      },
+      nextCursor: schemas.nextCursor
+    },
+    required: ['pullRequests']
+  },
+  async execute({ owner, repo, ...options }) {
+    logger.debug('Executing listPullRequests', { owner, repo, options });
+    
+    try {
+      const { items: pulls, nextCursor } = await githubClient.listPullRequests(owner, repo, options);
+      
+      return {
+        pullRequests: pulls.map(formatPullRequest),
+        nextCursor
+      };
+    } catch (error) {
+      logger.error('Error in listPullRequests', { error: error.message, owner, repo });
+      throw error;
+    }
+  }
+};
+
+/**
+ * Get a specific pull request
+ */
+const getPullRequest = {
+  description: 'Get a specific pull request from a GitHub repository, including merge status and change counts',
+  annotations: {
+    readOnlyHint: true
+  },
+  inputSchema: {
+    type: 'object',
+    properties: {
+      owner: schemas.owner,
+      repo: schemas.repo,
+      pullNumber: schemas.pullNumber
+    },
+    required: ['owner', 'repo', 'pullNumber'],
+    additionalProperties: false
+  },
+  outputSchema: {
+    type: 'object',
+    properties: {
+      pullRequest: {
+        ...schemas.pullRequest,
+        properties: {
+          ...schemas.pullRequest.properties,
+          mergeable: { type: ['boolean', 'null'] },
+          mergeable_state: { type: 'string' },
+          commits: { type: 'integer' },
+          additions: { type: 'integer' },
+          deletions: { type: 'integer' },
+          changed_files: { type: 'integer' },
+          requested_reviewers: { type: 'array', items: { type: 'string' } }
+        }
+      }
+    },
+    required: ['pullRequest']
+  },
+  async execute({ owner, repo, pullNumber }) {
+    logger.debug('Executing getPullRequest', { owner, repo, pullNumber });
+    
+    try {
+      const pull = await githubClient.getPullRequest(owner, repo, pullNumber);
+      
+      return {
+        pullRequest: {
+          ...formatPullRequest(pull),
+          mergeable: pull.mergeable,
+          mergeable_state: pull.mergeable_state,
+          commits: pull.commits,
+          additions: pull.additions,
+          deletions: pull.deletions,
+          changed_files: pull.changed_files,
+          requested_reviewers: pull.requested_reviewers.map(reviewer => reviewer.login)
+        }
+      };
+    } catch (error) {
+      logger.error('Error in getPullRequest', { error: error.message, owner, repo, pullNumber });
+      throw error;
+    }
+  }
+};
+
+/**
+ * Get the files changed by a pull request
+ */
+const getPullRequestFiles = {
+  description: 'Get the files changed by a pull request, with per-file patches',
+  annotations: {
+    readOnlyHint: true
+  },
+  inputSchema: {
+    type: 'object',
+    properties: {
+      owner: schemas.owner,
+      repo: schemas.repo,
+      pullNumber: schemas.pullNumber,
+      per_page: schemas.perPage,
+      page: schemas.page,
+      cursor: schemas.cursor,
+      maxItems: schemas.maxItems
+    },
+    required: ['owner', 'repo', 'pullNumber'],
+    additionalProperties: false
+  },
+  outputSchema: {
+    type: 'object',
+    properties: {
+      files: {
+        type: 'array',
+        description: 'Changed files',
+        items: schemas.changedFile
+      },
+      nextCursor: schemas.nextCursor
+    },
+    required: ['files']
+  },
+  async execute({ owner, repo, pullNumber, ...options }) {
+    logger.debug('Executing getPullRequestFiles', { owner, repo, pullNumber, options });
+    
+    try {
+      const { items: files, nextCursor } = await githubClient.getPullRequestFiles(owner, repo, pullNumber, options);
+      
+      return {
+        files: files.map(file => ({
+          filename: file.filename,
+          previous_filename: file.previous_filename,
+          status: file.status,
+          additions: file.additions,
+          deletions: file.deletions,
+          changes: file.changes,
+          patch: file.patch
+        })),
+        nextCursor
+      };
+    } catch (error) {
+      logger.error('Error in getPullRequestFiles', { error: error.message, owner, repo, pullNumber });
+      throw error;
+    }
+  }
+};
+
+/**
+ * Get the unified diff of a pull request
+ */
+const getPullRequestDiff = {
+  description: 'Get the unified diff of a pull request',
+  annotations: {
+    readOnlyHint: true
+  },
+  inputSchema: {
+    type: 'object',
+    properties: {
+      owner: schemas.owner,
+      repo: schemas.repo,
+      pullNumber: schemas.pullNumber,
+      maxBytes: {
+        type: 'integer',
+        minimum: 1,
+        default: DEFAULT_DIFF_MAX_BYTES,
+        description: 'Maximum number of bytes of diff to return'
+      }
+    },
+    required: ['owner', 'repo', 'pullNumber'],
+    additionalProperties: false
+  },
+  outputSchema: {
+    type: 'object',
+    properties: {
+      diff: {
+        type: 'string',
+        description: 'Unified diff'
+      },
+      size: {
+        type: 'integer',
+        description: 'Size of the full diff in bytes'
+      },
+      truncated: {
+        type: 'boolean',
+        description: 'Whether the diff was cut at the end of a line to fit maxBytes'
+      }
+    },
+    required: ['diff', 'size', 'truncated']
+  },
+  async execute({ owner, repo, pullNumber, maxBytes = DEFAULT_DIFF_MAX_BYTES }) {
+    logger.debug('Executing getPullRequestDiff', { owner, repo, pullNumber });
+    
+    try {
+      const diff = await githubClient.getPullRequestDiff(owner, repo, pullNumber);
+      const { content, truncated } = sliceText(diff, { maxBytes });
+      
+      return {
+        diff: content,
+        size: Buffer.byteLength(diff),
+        truncated
+      };
+    } catch (error) {
+      logger.error('Error in getPullRequestDiff', { error: error.message, owner, repo, pullNumber });
+      throw error;
+    }
+  }
+};
+
+/**
+ * Open a pull request
+ */
+const createPullRequest = {
+  description: 'Open a pull request from a branch',
+  annotations: {
+    readOnlyHint: false,
+    destructiveHint: false
+  },
+  inputSchema: {
+    type: 'object',
+    properties: {
+      owner: schemas.owner,
+      repo: schemas.repo,
+      title: {
+        type: 'string',
+        minLength: 1,
+        description: 'Pull request title'
+      },
+      head: {
+        type: 'string',
+        minLength: 1,
+        description: 'Branch with the changes (user:branch for a fork)'
+      },
+      base: {
+        type: 'string',
+        minLength: 1,
+        description: 'Branch to merge into (defaults to the default branch)'
+      },
+      body: {
+        type: 'string',
+        description: 'Pull request description'
+      },
+      draft: {
+        type: 'boolean',
+        description: 'Open the pull request as a draft'
+      }
+    },
+    required: ['owner', 'repo', 'title', 'head'],
+    additionalProperties: false
+  },
+  outputSchema: {
+    type: 'object',
+    properties: {
+      pullRequest: {
+        ...schemas.pullRequest,
+        description: 'Created pull request'
+      }
+    },
+    required: ['pullRequest']
+  },
+  async execute({ owner, repo, title, head, base, body, draft }) {
+    logger.debug('Executing createPullRequest', { owner, repo, head, base });
+    
+    try {
+      const pull = await githubClient.createPullRequest(owner, repo, { title, head, base, body, draft });
+      notifications.resourceUpdated(`github://repository/${owner}/${repo}/pulls`);
+      
+      return {
+        pullRequest: formatPullRequest(pull)
+      };
+    } catch (error) {
+      logger.error('Error in createPullRequest', { error: error.message, owner, repo, head });
+      throw error;
+    }
+  }
+};
+
+/**
+ * List the review comments on a pull request
+ */
+const listReviewComments = {
+  description: 'List the line-level review comments on a pull request',
+  annotations: {
+    readOnlyHint: true
+  },
+  inputSchema: {
+    type: 'object',
+    properties: {
+      owner: schemas.owner,
+      repo: schemas.repo,
+      pullNumber: schemas.pullNumber,
+      per_page: schemas.perPage,
+      page: schemas.page,
+      cursor: schemas.cursor,
+      maxItems: schemas.maxItems
+    },
+    required: ['owner', 'repo', 'pullNumber'],
+    additionalProperties: false
+  },
+  outputSchema: {
+    type: 'object',
+    properties: {
+      comments: {
+        type: 'array',
+        description: 'Review comments',
+        items: {
+          type: 'object',
+          properties: {
+            id: { type: 'integer' },
+            path: { type: 'string' },
+            line: { type: ['integer', 'null'] },
+            side: { type: 'string' },
+            body: { type: 'string' },
+            diff_hunk: { type: 'string' },
+            in_reply_to_id: { type: 'integer' },
+            user: schemas.user,
+            created_at: { type: 'string' },
+            url: { type: 'string' }
+          }
+        }
+      },
+      nextCursor: schemas.nextCursor
+    },
+    required: ['comments']
+  },
+  async execute({ owner, repo, pullNumber, ...options }) {
+    logger.debug('Executing listReviewComments', { owner, repo, pullNumber, options });
+    
+    try {
+      const { items: comments, nextCursor } = await githubClient.listReviewComments(owner, repo, pullNumber, options);
+      
+      return {
+        comments: comments.map(comment => ({
+          id: comment.id,
+          path: comment.path,
+          line: comment.line,
+          side: comment.side,
+          body: comment.body,
+          diff_hunk: comment.diff_hunk,
+          in_reply_to_id: comment.in_reply_to_id,
+          user: {
+            login: comment.user.login,
+            avatar_url: comment.user.avatar_url,
+            url: comment.user.html_url
+          },
+          created_at: comment.created_at,
+          url: comment.html_url
+        })),
+        nextCursor
+      };
+    } catch (error) {
+      logger.error('Error in listReviewComments', { error: error.message, owner, repo, pullNumber });
+      throw error;
+    }
+  }
+};
+
+/**
+ * Create a review on a pull request
+ */
+const createPullRequestReview = {
+  description: 'Create a review on a pull request, optionally with line comments',
+  annotations: {
+    readOnlyHint: false,
+    destructiveHint: false
+  },
+  inputSchema: {
+    type: 'object',
+    properties: {
+      owner: schemas.owner,
+      repo: schemas.repo,
+      pullNumber: schemas.pullNumber,
+      event: {
+        type: 'string',
+        enum: ['APPROVE', 'REQUEST_CHANGES', 'COMMENT'],
+        description: 'Review action'
+      },
+      body: {
+        type: 'string',
+        description: 'Review summary (required for REQUEST_CHANGES and COMMENT)'
+      },
+      commitId: {
+        type: 'string',
+        pattern: '^[0-9a-f]{40}$',
+        description: 'SHA of the commit to review (defaults to the latest commit)'
+      },
+      comments: {
+        type: 'array',
+        description: 'Line comments to include in the review',
+        items: {
+          type: 'object',
+          properties: {
+            path: {
+              type: 'string',
+              description: 'File path relative to the repository root'
+            },
+            line: {
+              type: 'integer',
+              minimum: 1,
+              description: 'Line in the diff to comment on'
+            },
+            side: {
+              type: 'string',
+              enum: ['LEFT', 'RIGHT'],
+              description: 'Side of the diff the line is on'
+            },
+            body: {
+              type: 'string',
+              minLength: 1,
+              description: 'Comment text'
+            }
+          },
+          required: ['path', 'line', 'body'],
+          additionalProperties: false
+        }
+      }
+    },
+    required: ['owner', 'repo', 'pullNumber', 'event'],
+    additionalProperties: false
+  },
+  outputSchema: {
+    type: 'object',
+    properties: {
+      review: {
+        type: 'object',
+        description: 'Created review',
+        properties: {
+          id: { type: 'integer' },
+          state: { type: 'string' },
+          body: schemas.nullableString,
+          commit_id: { type: 'string' },
+          user: schemas.user,
+          url: { type: 'string' }
+        }
+      }
+    },
+    required: ['review']
+  },
+  async execute({ owner, repo, pullNumber, event, body, commitId, comments }) {
+    logger.debug('Executing createPullRequestReview', { owner, repo, pullNumber, event });
+    
+    if (event !== 'APPROVE' && !body) {
+      throw new ValidationError(`A review body is required for ${event} reviews`, [
+        { field: 'body', message: `is required for ${event} reviews` }
+      ]);
+    }
+    
+    try {
+      const review = await githubClient.createPullRequestReview(owner, repo, pullNumber, {
+        event,
+        body,
+        commit_id: commitId,
+        comments
+      });
+      notifications.resourceUpdated(`github://repository/${owner}/${repo}/pulls/${pullNumber}`);
+      
+      return {
+        review: {
+          id: review.id,
+          state: review.state,
+          body: review.body,
+          commit_id: review.commit_id,
+          user: {
+            login: review.user.login,
+            avatar_url: review.user.avatar_url,
+            url: review.user.html_url
+          },
+          url: review.html_url
+        }
+      };
+    } catch (error) {
+      logger.error('Error in createPullRequestReview', { error: error.message, owner, repo, pullNumber });
+      throw error;
+    }
+  }
+};
+
+module.exports = {
+  'listPullRequests': listPullRequests,
+  'getPullRequest': getPullRequest,
+  'getPullRequestFiles': getPullRequestFiles,
+  'getPullRequestDiff': getPullRequestDiff,
+  'listReviewComments': listReviewComments,
+  'createPullRequestReview': createPullRequestReview,
+  'createPullRequest': createPullRequest
+};
+
+// Made with Bob
@@ -0,0 +1,275 @@
+/**
+ * JSON Schema fragments shared by tool definitions
+ */
+
+// Input properties
+
+const owner = {
+  type: 'string',
+  pattern: '^[A-Za-z0-9](?:[A-Za-z0-9-]{0,38})$',
+  description: 'Repository owner (user or organization)'
+};
+
+const repo = {
+  type: 'string',
+  pattern: '^[A-Za-z0-9._-]{1,100}$',
+  description: 'Repository name'
+};
+
+const issueNumber = {
+  type: 'integer',
+  minimum: 1,
+  description: 'Issue number'
+};
+
+const pullNumber = {
+  type: 'integer',
+  minimum: 1,
+  description: 'Pull request number'
+};
+
+const ref = {
+  type: 'string',
+  minLength: 1,
+  description: 'Branch, tag or commit SHA to read from (defaults to the default branch)'
+};
+
+const perPage = {
+  type: 'integer',
+  minimum: 1,
+  maximum: 100,
+  description: 'Number of results per page (max 100)'
+};
+
+const page = {
+  type: 'integer',
+  minimum: 1,
+  description: 'Page number of the results to fetch (ignored when cursor is given)'
+};
+
+const cursor = {
+  type: 'string',
+  minLength: 1,
+  description: 'nextCursor from a previous call, to continue where it left off'
+};
+
+const maxItems = {
+  type: 'integer',
+  minimum: 1,
+  maximum: 1000,
+  description: 'Fetch as many pages as needed to return up to this many results'
+};
+
+// Line range and size limit for reading a text file
+const fileRange = {
+  startLine: {
+    type: 'integer',
+    minimum: 1,
+    description: 'First line to return (defaults to 1)'
+  },
+  endLine: {
+    type: 'integer',
+    minimum: 1,
+    description: 'Last line to return (defaults to the end of the file)'
+  },
+  maxBytes: {
+    type: 'integer',
+    minimum: 1,
+    maximum: 10000000,
+    description: 'Most bytes of content to return; longer content is cut at a line end (defaults to the server limit)'
+  }
+};
+
+// Output shapes
+
+const nullableString = {
+  type: ['string', 'null']
+};
+
+const nextCursor = {
+  type: 'string',
+  description: 'Pass as cursor to get the next results; absent when there are no more'
+};
+
+const user = {
+  type: 'object',
+  properties: {
+    login: { type: 'string' },
+    avatar_url: { type: 'string' },
+    url: { type: 'string' }
+  }
+};
+
+const label = {
+  type: 'object',
+  properties: {
+    name: { type: 'string' },
+    color: { type: 'string' }
+  }
+};
+
+const issue = {
+  type: 'object',
+  properties: {
+    number: { type: 'integer' },
+    title: { type: 'string' },
+    state: { type: 'string' },
+    state_reason: nullableString,
+    body: nullableString,
+    user,
+    labels: { type: 'array', items: label },
+    assignees: { type: 'array', items: { type: 'string' } },
+    milestone: {
+      type: ['object', 'null'],
+      properties: {
+        number: { type: 'integer' },
+        title: { type: 'string' }
+      }
+    },
+    locked: { type: 'boolean' },
+    created_at: { type: 'string' },
+    updated_at: { type: 'string' },
+    closed_at: nullableString,
+    url: { type: 'string' }
+  }
+};
+
+const comment = {
+  type: 'object',
+  properties: {
+    id: { type: 'integer' },
+    body: { type: 'string' },
+    user,
+    created_at: { type: 'string' },
+    updated_at: { type: 'string' },
+    url: { type: 'string' }
+  }
+};
+
+const pullRequest = {
+  type: 'object',
+  properties: {
+    number: { type: 'integer' },
+    title: { type: 'string' },
+    state: { type: 'string' },
+    draft: { type: 'boolean' },
+    merged: { type: 'boolean' },
+    body: nullableString,
+    user,
+    labels: { type: 'array', items: label },
+    head: {
+      type: 'object',
+      properties: {
+        ref: { type: 'string' },
+        sha: { type: 'string' }
+      }
+    },
+    base: {
+      type: 'object',
+      properties: {
+        ref: { type: 'string' },
+        sha: { type: 'string' }
+      }
+    },
+    created_at: { type: 'string' },
+    updated_at: { type: 'string' },
+    closed_at: nullableString,
+    merged_at: nullableString,
+    url: { type: 'string' }
+  }
+};
+
+const gitActor = {
+  type: 'object',
+  properties: {
+    name: nullableString,
+    email: nullableString,
+    login: nullableString,
+    date: { type: 'string' }
+  }
+};
+
+const commit = {
+  type: 'object',
+  properties: {
+    sha: { type: 'string' },
+    message: { type: 'string' },
+    author: gitActor,
+    committer: gitActor,
+    url: { type: 'string' }
+  }
+};
+
+// What a file read returns besides its content
+const fileContent = {
+  isBinary: {
+    type: 'boolean',
+    description: 'Whether the file is binary, in which case content is left out'
+  },
+  mimeType: {
+    type: 'string',
+    description: 'MIME type guessed from the file name and content'
+  },
+  totalLines: {
+    type: 'integer',
+    description: 'Number of lines in the file (text files)'
+  },
+  startLine: {
+    type: 'integer',
+    description: 'First line of the content returned'
+  },
+  endLine: {
+    type: 'integer',
+    description: 'Last line of the content returned, which may be cut short when truncated'
+  },
+  truncated: {
+    type: 'boolean',
+    description: 'Whether the content was cut to maxBytes'
+  },
+  omittedBytes: {
+    type: 'integer',
+    description: 'Bytes of the requested lines left out (when truncated)'
+  },
+  omittedLines: {
+    type: 'integer',
+    description: 'Whole lines of the requested range left out after endLine (when truncated)'
+  }
+};
+
+const changedFile = {
+  type: 'object',
+  properties: {
+    filename: { type: 'string' },
+    previous_filename: { type: 'string' },
+    status: { type: 'string' },
+    additions: { type: 'integer' },
+    deletions: { type: 'integer' },
+    changes: { type: 'integer' },
+    patch: { type: 'string' }
+  }
+};
+
+module.exports = {
+  owner,
+  repo,
+  issueNumber,
+  pullNumber,
+  ref,
+  perPage,
+  page,
+  cursor,
+  maxItems,
+  fileRange,
+  nullableString,
+  nextCursor,
+  user,
+  label,
+  issue,
+  comment,
+  pullRequest,
+  commit,
+  fileContent,
+  changedFile
+};
+
+// Made with Bob
@@ -0,0 +1,67 @@
+const readline = require('readline');
+const mcpProtocol = require('../mcp/protocol');
+const { Session } = require('../mcp/session');
+const tracing = require('../utils/tracing');
+const logger = require('../utils/logger');
+
+/**
+ * Serve MCP over newline-delimited JSON-RPC on stdin/stdout
+ */
+function start({ input = process.stdin, output = process.stdout } = {}) {
+  const lines = readline.createInterface({ input, crlfDelay: Infinity });
+  let pending = 0;
+  let closed = false;
+
+  const send = message => {
+    output.write(`${JSON.stringify(message)}\n`);
+  };
+
+  // A stdio server has exactly one client
+  const session = new Session(send);
+
+  // Exit once stdin is closed and every in-flight request has been answered
+  const exitIfDone = () => {
+    if (closed && pending === 0) {
+      logger.info('stdin closed, shutting down');
+      tracing.shutdown().finally(() => process.exit(0));
+    }
+  };
+
+  lines.on('line', async line => {
+    if (!line.trim()) {
+      return;
+    }
+
+    let message;
+    try {
+      message = JSON.parse(line);
+    } catch (error) {
+      send(mcpProtocol.createErrorResponse(null, mcpProtocol.ErrorCodes.PARSE_ERROR, 'Parse error'));
+      return;
+    }
+
+    pending++;
+    try {
+      const response = await mcpProtocol.handleMessage(message, session);
+      if (response) {
+        send(response);
+      }
+    } finally {
+      pending--;
+      exitIfDone();
+    }
+  });
+
+  lines.on('close', () => {
+    closed = true;
+    exitIfDone();
+  });
+
+  logger.info('GitHub MCP server listening on stdio');
+}
+
+module.exports = {
+  start
+};
+
+// Made with Bob
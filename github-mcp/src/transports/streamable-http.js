@@ -0,0 +1,318 @@
+const express = require('express');
+const mcpProtocol = require('../mcp/protocol');
+const { Session } = require('../mcp/session');
+const auth = require('../auth');
+const logger = require('../utils/logger');
+
+const { ErrorCodes, createErrorResponse, SUPPORTED_PROTOCOL_VERSIONS } = mcpProtocol;
+
+// Session and stream settings
+const sessionTtl = parseInt(process.env.MCP_SESSION_TTL || '1800000'); // 30 minutes in milliseconds
+const eventBufferSize = parseInt(process.env.MCP_EVENT_BUFFER_SIZE || '500');
+const keepAliveInterval = 30000;
+
+// Stream used for server-initiated messages that don't belong to a request
+const STANDALONE_STREAM = '0';
+
+/**
+ * A session served over Streamable HTTP. Every message sent to the client is
+ * written as an SSE event with an ID and kept in a bounded buffer, so a client
+ * that loses a stream can resume it with Last-Event-ID.
+ */
+class HttpSession extends Session {
+  constructor() {
+    super((message, options) => this._route(message, options));
+    this.events = [];
+    this.nextEventId = 1;
+    this.nextStreamId = 1;
+    this.connections = new Map(); // stream ID -> live response
+    this.completedStreams = new Set();
+    this.requestStreams = new Map(); // JSON-RPC request ID -> stream ID
+  }
+
+  /**
+   * Send a server-initiated message on the stream of the request it relates to,
+   * or on the standalone stream
+   */
+  _route(message, { relatedRequestId } = {}) {
+    const streamId = this.requestStreams.get(relatedRequestId) || STANDALONE_STREAM;
+    this.write(streamId, message);
+  }
+
+  /**
+   * Record a message as the next event on a stream and deliver it if the stream is connected
+   */
+  write(streamId, message) {
+    const event = {
+      id: `${streamId}-${this.nextEventId++}`,
+      streamId,
+      message
+    };
+
+    this.events.push(event);
+    if (this.events.length > eventBufferSize) {
+      this.events.shift();
+    }
+
+    const res = this.connections.get(streamId);
+    if (res) {
+      writeEvent(res, event);
+    }
+  }
+
+  /**
+   * Check whether a stream ID names a stream of this session
+   */
+  hasStream(streamId) {
+    return streamId === STANDALONE_STREAM || (/^\d+$/.test(streamId) && Number(streamId) < this.nextStreamId);
+  }
+
+  /**
+   * Open a stream that carries the responses to a POSTed batch of requests
+   */
+  openRequestStream(res, requestIds) {
+    const streamId = String(this.nextStreamId++);
+    requestIds.forEach(id => this.requestStreams.set(id, streamId));
+    this.attach(streamId, res);
+    return streamId;
+  }
+
+  /**
+   * Finish a request stream once every response has been written
+   */
+  completeRequestStream(streamId, requestIds) {
+    requestIds.forEach(id => this.requestStreams.delete(id));
+    this.completedStreams.add(streamId);
+
+    const res = this.connections.get(streamId);
+    if (res) {
+      this.connections.delete(streamId);
+      res.end();
+    }
+  }
+
+  /**
+   * Connect a response to a stream, replaying events after lastEventId first
+   */
+  attach(streamId, res, lastEventId) {
+    startEventStream(res);
+
+    if (lastEventId) {
+      const [, lastSequence] = lastEventId.split('-');
+      this.events
+        .filter(event => event.streamId === streamId && Number(event.id.split('-')[1]) > Number(lastSequence))
+        .forEach(event => writeEvent(res, event));
+    }
+
+    // A request stream that finished while the client was away has nothing more to send
+    if (this.completedStreams.has(streamId)) {
+      res.end();
+      return;
+    }
+
+    this.connections.set(streamId, res);
+
+    const keepAlive = setInterval(() => res.write(': keep-alive\n\n'), keepAliveInterval);
+    res.on('close', () => {
+      clearInterval(keepAlive);
+      if (this.connections.get(streamId) === res) {
+        this.connections.delete(streamId);
+      }
+    });
+  }
+
+  close() {
+    super.close();
+    this.connections.forEach(res => res.end());
+    this.connections.clear();
+  }
+}
+
+// Active sessions by Mcp-Session-Id
+const sessions = new Map();
+
+/**
+ * Write the SSE response headers
+ */
+function startEventStream(res) {
+  res.status(200).set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive'
+  });
+  res.flushHeaders();
+}
+
+/**
+ * Write one SSE event
+ */
+function writeEvent(res, event) {
+  res.write(`id: ${event.id}\nevent: message\ndata: ${JSON.stringify(event.message)}\n\n`);
+}
+
+/**
+ * Check whether the client accepts a response media type
+ */
+function accepts(req, type) {
+  return (req.get('Accept') || '').split(',').some(value => {
+    const mediaType = value.split(';')[0].trim();
+    return mediaType === type || mediaType === '*/*';
+  });
+}
+
+/**
+ * Look up the session named by the Mcp-Session-Id header, answering the
+ * request with an error when there is none or another caller started it
+ */
+function getSession(req, res) {
+  const sessionId = req.get('Mcp-Session-Id');
+
+  if (!sessionId) {
+    res.status(400).json(createErrorResponse(null, ErrorCodes.INVALID_REQUEST, 'Missing Mcp-Session-Id header'));
+    return null;
+  }
+
+  const session = sessions.get(sessionId);
+  if (!session) {
+    res.status(404).json(createErrorResponse(null, ErrorCodes.INVALID_REQUEST, 'Session not found'));
+    return null;
+  }
+
+  // A session ID alone must not let another caller send requests or replay events
+  if (session.principal !== auth.principalId()) {
+    logger.warn('Session used by another caller', { sessionId, principal: auth.principalId() });
+    res.status(403).json(createErrorResponse(null, ErrorCodes.FORBIDDEN, 'Session belongs to another caller'));
+    return null;
+  }
+
+  const protocolVersion = req.get('MCP-Protocol-Version');
+  if (protocolVersion && !SUPPORTED_PROTOCOL_VERSIONS.includes(protocolVersion)) {
+    res.status(400).json(createErrorResponse(null, ErrorCodes.INVALID_REQUEST, `Unsupported protocol version: ${protocolVersion}`));
+    return null;
+  }
+
+  session.touch();
+  return session;
+}
+
+/**
+ * End and forget a session
+ */
+function endSession(session) {
+  session.close();
+  sessions.delete(session.id);
+}
+
+const router = express.Router();
+
+// Client-to-server messages
+router.post('/', async (req, res) => {
+  const messages = Array.isArray(req.body) ? req.body : [req.body];
+  const isInitialize = messages.some(message => message && message.method === 'initialize');
+
+  let session;
+  if (isInitialize) {
+    if (messages.length > 1) {
+      return res.status(400).json(createErrorResponse(null, ErrorCodes.INVALID_REQUEST, 'initialize must not be batched'));
+    }
+    session = new HttpSession();
+    session.principal = auth.principalId();
+  } else {
+    session = getSession(req, res);
+    if (!session) {
+      return;
+    }
+  }
+
+  // Stream the response when a tool call asked for progress and the client can read SSE
+  const requestIds = messages
+    .filter(message => message && message.method !== undefined && message.id !== undefined)
+    .map(message => message.id);
+  const wantsProgress = messages.some(message =>
+    message && message.method === 'tools/call' && message.params && message.params._meta &&
+    message.params._meta.progressToken !== undefined
+  );
+
+  if (wantsProgress && accepts(req, 'text/event-stream')) {
+    const streamId = session.openRequestStream(res, requestIds);
+    const response = await mcpProtocol.handleMessage(req.body, session);
+    [].concat(response || []).forEach(item => session.write(streamId, item));
+    session.completeRequestStream(streamId, requestIds);
+    return;
+  }
+
+  const response = await mcpProtocol.handleMessage(req.body, session);
+
+  if (isInitialize) {
+    if (!response || response.error) {
+      session.close();
+      return res.status(400).json(response || createErrorResponse(null, ErrorCodes.INVALID_REQUEST, 'initialize must be a request'));
+    }
+    sessions.set(session.id, session);
+    res.set('Mcp-Session-Id', session.id);
+    logger.info('MCP session started', { sessionId: session.id });
+  }
+
+  // Notifications and responses are acknowledged without a body
+  if (!response) {
+    return res.status(202).end();
+  }
+
+  res.json(response);
+});
+
+// Standalone SSE stream for server-initiated messages, or resumption of any stream
+router.get('/', (req, res) => {
+  if (!accepts(req, 'text/event-stream')) {
+    return res.status(406).json(createErrorResponse(null, ErrorCodes.INVALID_REQUEST, 'Client must accept text/event-stream'));
+  }
+
+  const session = getSession(req, res);
+  if (!session) {
+    return;
+  }
+
+  const lastEventId = req.get('Last-Event-ID');
+  const streamId = lastEventId ? lastEventId.split('-')[0] : STANDALONE_STREAM;
+
+  if (!session.hasStream(streamId)) {
+    return res.status(400).json(createErrorResponse(null, ErrorCodes.INVALID_REQUEST, `Unknown Last-Event-ID: ${lastEventId}`));
+  }
+
+  if (session.connections.has(streamId)) {
+    return res.status(409).json(createErrorResponse(null, ErrorCodes.INVALID_REQUEST, 'Stream is already connected'));
+  }
+
+  logger.debug('Opening SSE stream', { sessionId: session.id, streamId, lastEventId });
+  session.attach(streamId, res, lastEventId);
+});
+
+// Explicit session termination
+router.delete('/', (req, res) => {
+  const session = getSession(req, res);
+  if (!session) {
+    return;
+  }
+
+  endSession(session);
+  logger.info('MCP session terminated', { sessionId: session.id });
+  res.status(204).end();
+});
+
+// Expire sessions that have been idle with no open stream
+setInterval(() => {
+  const now = Date.now();
+  sessions.forEach(session => {
+    if (session.connections.size === 0 && now - session.lastActivity > sessionTtl) {
+      logger.info('MCP session expired', { sessionId: session.id });
+      endSession(session);
+    }
+  });
+}, Math.min(sessionTtl, 60000)).unref();
+
+module.exports = {
+  router,
+  sessions
+};
+
+// Made with Bob
@@ -0,0 +1,25 @@
+/**
+ * Map over items with an async function, running at most limit calls at a time.
+ * Results are returned in the order of the items.
+ */
+async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index], index);
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+
+  return results;
+}
+
+module.exports = {
+  mapWithConcurrency
+};
+
+// Made with Bob
@@ -0,0 +1,111 @@
+const mime = require('mime-types');
+const { ValidationError } = require('./errors');
+
+// Bytes searched for a NUL when telling binary files from text, as git does
+const SNIFF_BYTES = 8000;
+
+// Types that are never text, so large files of these types aren't downloaded just to sniff them.
+// Video types are left out because .ts maps to video/mp2t.
+const BINARY_TYPES = /^(image\/(?!svg)|audio\/|font\/|application\/(zip|gzip|pdf|octet-stream|java-archive|wasm|x-(tar|7z-compressed|bzip2|rar-compressed|xz)))/;
+
+const utf8 = new TextDecoder('utf-8', { fatal: true });
+
+/**
+ * Guess a file's MIME type from its name, falling back on whether its bytes are text
+ */
+function mimeTypeOf(path, binary) {
+  const type = mime.lookup(path);
+  const textType = Boolean(type && mime.charset(type));
+
+  // Bytes that contradict the name's type, such as text in a .ts file, get a generic type
+  if (binary) {
+    return type && !textType ? type : 'application/octet-stream';
+  }
+  return textType ? type : 'text/plain';
+}
+
+/**
+ * Check whether a file's name says it is binary without looking at its bytes
+ */
+function isBinaryType(path) {
+  const type = mime.lookup(path);
+  return Boolean(type && BINARY_TYPES.test(type));
+}
+
+/**
+ * Check whether bytes are binary: they contain a NUL or aren't valid UTF-8
+ */
+function isBinary(buffer) {
+  if (buffer.subarray(0, SNIFF_BYTES).includes(0)) {
+    return true;
+  }
+
+  try {
+    utf8.decode(buffer);
+    return false;
+  } catch (error) {
+    return true;
+  }
+}
+
+/**
+ * Select lines startLine to endLine (1-based, inclusive) of a text and cut the selection to
+ * at most maxBytes of UTF-8, at a line end when a whole line fits. Reports the lines returned
+ * and, when the selection was cut, how many of its bytes and whole lines were left out.
+ */
+function sliceText(text, { startLine = 1, endLine, maxBytes } = {}) {
+  // Split after each newline so every line keeps its own
+  const lines = text === '' ? [] : text.split(/(?<=\n)/);
+  const totalLines = lines.length;
+
+  if (endLine !== undefined && endLine < startLine) {
+    throw new ValidationError(`endLine (${endLine}) is before startLine (${startLine})`, [
+      { field: 'endLine', message: 'must not be before startLine' }
+    ]);
+  }
+
+  if (startLine > Math.max(totalLines, 1)) {
+    throw new ValidationError(`startLine (${startLine}) is past the end of the file, which has ${totalLines} lines`, [
+      { field: 'startLine', message: `must be at most ${totalLines}` }
+    ]);
+  }
+
+  const selected = lines.slice(startLine - 1, endLine === undefined ? totalLines : Math.min(endLine, totalLines));
+  const selectedBytes = selected.reduce((total, line) => total + Buffer.byteLength(line), 0);
+  const range = { totalLines, startLine, endLine: startLine - 1 + selected.length };
+
+  if (maxBytes === undefined || selectedBytes <= maxBytes) {
+    return { content: selected.join(''), ...range, truncated: false };
+  }
+
+  // Keep whole lines while they fit, or else as much of the first line as fits
+  let bytes = 0;
+  let kept = 0;
+  while (kept < selected.length && bytes + Buffer.byteLength(selected[kept]) <= maxBytes) {
+    bytes += Buffer.byteLength(selected[kept]);
+    kept++;
+  }
+
+  // Cutting inside a multi-byte character leaves a replacement character, which is dropped
+  const partialLine = kept > 0 ? '' : Buffer.from(selected[0]).subarray(0, maxBytes).toString('utf8').replace(/\uFFFD$/, '');
+  const content = kept > 0 ? selected.slice(0, kept).join('') : partialLine;
+  const linesReturned = kept > 0 ? kept : (partialLine ? 1 : 0);
+
+  return {
+    content,
+    ...range,
+    endLine: startLine - 1 + linesReturned,
+    truncated: true,
+    omittedBytes: selectedBytes - Buffer.byteLength(content),
+    omittedLines: selected.length - linesReturned
+  };
+}
+
+module.exports = {
+  mimeTypeOf,
+  isBinaryType,
+  isBinary,
+  sliceText
+};
+
+// Made with Bob
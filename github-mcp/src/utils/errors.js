@@ -0,0 +1,63 @@
+/**
+ * Error raised by a tool with an HTTP status and error code for the caller
+ */
+class ToolError extends Error {
+  constructor(message, status, code) {
+    super(message);
+    this.name = 'ToolError';
+    this.status = status;
+    this.code = code;
+  }
+}
+
+/**
+ * Error raised when input does not match a tool's schema
+ */
+class ValidationError extends ToolError {
+  constructor(message, errors = []) {
+    super(message, 400, 'invalid_input');
+    this.name = 'ValidationError';
+    this.errors = errors;
+  }
+}
+
+/**
+ * Error raised when a write would overwrite a change made since the caller last read
+ */
+class ConflictError extends ToolError {
+  constructor(message) {
+    super(message, 409, 'conflict');
+    this.name = 'ConflictError';
+  }
+}
+
+/**
+ * Error raised when the caller's credentials don't allow a tool or resource
+ */
+class ForbiddenError extends ToolError {
+  constructor(message) {
+    super(message, 403, 'forbidden');
+    this.name = 'ForbiddenError';
+  }
+}
+
+/**
+ * Error raised when the server's repository, path or read-only policy refuses a request
+ */
+class PolicyError extends ForbiddenError {
+  constructor(message) {
+    super(message);
+    this.name = 'PolicyError';
+    this.code = 'policy_denied';
+  }
+}
+
+module.exports = {
+  ToolError,
+  ValidationError,
+  ConflictError,
+  ForbiddenError,
+  PolicyError
+};
+
+// Made with Bob
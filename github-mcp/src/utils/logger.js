@@ -0,0 +1,22 @@
+const winston = require('winston');
+
+// With the stdio transport stdout carries protocol messages, so every level goes to stderr
+const stderrLevels = process.env.MCP_TRANSPORT === 'stdio'
+  ? Object.keys(winston.config.npm.levels)
+  : [];
+
+// Create logger
+const logger = winston.createLogger({
+  level: process.env.LOG_LEVEL || 'info',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.json()
+  ),
+  transports: [
+    new winston.transports.Console({ stderrLevels })
+  ]
+});
+
+module.exports = logger;
+
+// Made with Bob
@@ -0,0 +1,87 @@
+const client = require('prom-client');
+
+/**
+ * Prometheus metrics, served in text format at /metrics
+ */
+const register = new client.Registry();
+client.collectDefaultMetrics({ register });
+
+const toolCalls = new client.Counter({
+  name: 'mcp_tool_calls_total',
+  help: 'Tool calls by tool and outcome (success, invalid, forbidden or error)',
+  labelNames: ['tool', 'outcome'],
+  registers: [register]
+});
+
+const toolCallDuration = new client.Histogram({
+  name: 'mcp_tool_call_duration_seconds',
+  help: 'Tool call latency by tool and outcome',
+  labelNames: ['tool', 'outcome'],
+  buckets: [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60],
+  registers: [register]
+});
+
+const resourceReads = new client.Counter({
+  name: 'mcp_resource_reads_total',
+  help: 'Resource reads by URI type and outcome (success or error)',
+  labelNames: ['type', 'outcome'],
+  registers: [register]
+});
+
+const cacheReads = new client.Counter({
+  name: 'github_cache_reads_total',
+  help: 'Cached GitHub reads by key prefix and outcome (hit, revalidated or miss)',
+  labelNames: ['prefix', 'outcome'],
+  registers: [register]
+});
+
+const githubRequests = new client.Counter({
+  name: 'github_api_requests_total',
+  help: 'GitHub API requests by endpoint and response status',
+  labelNames: ['endpoint', 'status'],
+  registers: [register]
+});
+
+const githubRequestDuration = new client.Histogram({
+  name: 'github_api_request_duration_seconds',
+  help: 'GitHub API request latency by endpoint',
+  labelNames: ['endpoint'],
+  buckets: [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10],
+  registers: [register]
+});
+
+const rateLimitRemaining = new client.Gauge({
+  name: 'github_rate_limit_remaining',
+  help: 'Requests left in the GitHub rate limit budget, by credential and resource',
+  labelNames: ['credential', 'resource'],
+  registers: [register]
+});
+
+const accessDenied = new client.Counter({
+  name: 'mcp_access_denied_total',
+  help: 'Tool calls and resource reads refused because they are outside the caller\'s scopes',
+  labelNames: ['kind', 'name'],
+  registers: [register]
+});
+
+const httpRequestsInFlight = new client.Gauge({
+  name: 'http_requests_in_flight',
+  help: 'HTTP requests being handled, including open MCP event streams, by method',
+  labelNames: ['method'],
+  registers: [register]
+});
+
+module.exports = {
+  register,
+  toolCalls,
+  toolCallDuration,
+  resourceReads,
+  cacheReads,
+  githubRequests,
+  githubRequestDuration,
+  rateLimitRemaining,
+  accessDenied,
+  httpRequestsInFlight
+};
+
+// Made with Bob
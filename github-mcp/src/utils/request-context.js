@@ -0,0 +1,25 @@
+const { AsyncLocalStorage } = require('async_hooks');
+
+// Per-request values, such as the caller's GitHub token, that follow the request through async calls
+const storage = new AsyncLocalStorage();
+
+/**
+ * Run a function with a request context
+ */
+function run(context, fn) {
+  return storage.run(context, fn);
+}
+
+/**
+ * Get the context of the request being handled, or an empty one outside any request
+ */
+function get() {
+  return storage.getStore() || {};
+}
+
+module.exports = {
+  run,
+  get
+};
+
+// Made with Bob
@@ -0,0 +1,144 @@
+const { trace, context, propagation, SpanKind, SpanStatusCode } = require('@opentelemetry/api');
+const {
+  NodeTracerProvider,
+  BatchSpanProcessor,
+  SimpleSpanProcessor,
+  InMemorySpanExporter
+} = require('@opentelemetry/sdk-trace-node');
+const { OTLPTraceExporter } = require('@opentelemetry/exporter-trace-otlp-http');
+const { resourceFromAttributes } = require('@opentelemetry/resources');
+const { name: serviceName, version: serviceVersion } = require('../../package.json');
+
+/**
+ * OpenTelemetry tracing. OTEL_TRACES_EXPORTER selects where spans go: otlp (to the collector
+ * at OTEL_EXPORTER_OTLP_ENDPOINT), memory (kept in memoryExporter, for local testing) or none.
+ * With none, the tracer is a no-op.
+ */
+const exporterName = (process.env.OTEL_TRACES_EXPORTER || 'none').toLowerCase();
+
+let provider = null;
+let memoryExporter = null;
+
+if (exporterName === 'otlp' || exporterName === 'memory') {
+  memoryExporter = exporterName === 'memory' ? new InMemorySpanExporter() : null;
+
+  provider = new NodeTracerProvider({
+    resource: resourceFromAttributes({
+      'service.name': process.env.OTEL_SERVICE_NAME || serviceName,
+      'service.version': serviceVersion
+    }),
+    spanProcessors: [
+      memoryExporter ? new SimpleSpanProcessor(memoryExporter) : new BatchSpanProcessor(new OTLPTraceExporter())
+    ]
+  });
+
+  // Installs the W3C trace context propagator and async context tracking
+  provider.register();
+} else if (exporterName !== 'none') {
+  throw new Error(`Unknown OTEL_TRACES_EXPORTER '${exporterName}'; use otlp, memory or none`);
+}
+
+const tracer = trace.getTracer(serviceName, serviceVersion);
+
+/**
+ * Record an error on a span and mark the span as failed
+ */
+function markError(span, error) {
+  // Pass only these fields; Octokit errors warn when their deprecated code is read
+  span.recordException({ name: error.name, message: error.message, stack: error.stack });
+  span.setStatus({ code: SpanStatusCode.ERROR, message: error.message });
+}
+
+/**
+ * Run fn inside a new active span, which ends when fn settles and is marked failed if fn throws
+ */
+function withSpan(name, options, fn) {
+  return tracer.startActiveSpan(name, options, async span => {
+    try {
+      return await fn(span);
+    } catch (error) {
+      markError(span, error);
+      throw error;
+    } finally {
+      span.end();
+    }
+  });
+}
+
+/**
+ * Set attributes on the active span, if there is one
+ */
+function annotate(attributes) {
+  const span = trace.getActiveSpan();
+  if (span) {
+    span.setAttributes(attributes);
+  }
+}
+
+/**
+ * Span attributes naming the repository an operation is about
+ */
+function repositoryAttributes({ owner, repo } = {}) {
+  if (!owner) {
+    return {};
+  }
+
+  return repo ? { 'github.owner': owner, 'github.repository': `${owner}/${repo}` } : { 'github.owner': owner };
+}
+
+/**
+ * Express middleware giving each HTTP request a server span, continuing the trace of an
+ * incoming traceparent header
+ */
+function middleware(req, res, next) {
+  const parent = propagation.extract(context.active(), req.headers);
+  const span = tracer.startSpan(req.method, {
+    kind: SpanKind.SERVER,
+    attributes: {
+      'http.request.method': req.method,
+      'url.path': req.path
+    }
+  }, parent);
+
+  res.once('close', () => {
+    // A router's root route is named after where the router is mounted, such as /mcp
+    const routePath = req.route && !(req.route.path === '/' && req.baseUrl) ? req.route.path : '';
+    const route = `${req.baseUrl}${routePath}`;
+    if (route) {
+      span.updateName(`${req.method} ${route}`);
+      span.setAttribute('http.route', route);
+    }
+
+    span.setAttribute('http.response.status_code', res.statusCode);
+    if (res.statusCode >= 500) {
+      span.setStatus({ code: SpanStatusCode.ERROR });
+    }
+    span.end();
+  });
+
+  context.with(trace.setSpan(parent, span), next);
+}
+
+/**
+ * Export any spans still buffered
+ */
+async function shutdown() {
+  if (provider) {
+    await provider.shutdown();
+  }
+}
+
+module.exports = {
+  tracer,
+  withSpan,
+  markError,
+  annotate,
+  repositoryAttributes,
+  middleware,
+  shutdown,
+  memoryExporter,
+  SpanKind,
+  SpanStatusCode
+};
+
+// Made with Bob
@@ -0,0 +1,142 @@
+jest.mock('ioredis', () => require('ioredis-mock'));
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { MemoryCache } = require('../src/cache/memory');
+const { FileCache } = require('../src/cache/file');
+const { RedisCache } = require('../src/cache/redis');
+
+let redisDatabases = 0;
+
+// Each backend with a way to release what it holds once a test is done
+const backends = [
+  ['memory', () => ({ cache: new MemoryCache({ maxEntries: 100 }), close: async () => {} })],
+  ['file', () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'github-mcp-cache-test-'));
+    const cache = new FileCache({ dir });
+    return {
+      cache,
+      close: async () => {
+        clearInterval(cache.sweepTimer);
+        await fs.promises.rm(dir, { recursive: true, force: true });
+      }
+    };
+  }],
+  ['redis', () => {
+    // ioredis-mock shares data between clients, so every test gets its own prefix
+    const cache = new RedisCache({ url: 'redis://localhost:6379', prefix: `test${++redisDatabases}:` });
+    return { cache, close: async () => cache.redis.disconnect() };
+  }]
+];
+
+describe.each(backends)('%s cache', (name, create) => {
+  let cache;
+  let close;
+
+  beforeEach(() => {
+    ({ cache, close } = create());
+  });
+
+  afterEach(() => close());
+
+  it('stores and returns values', async () => {
+    await cache.set('repo:octo/repo', { name: 'repo' }, { ttl: 60000 });
+
+    await expect(cache.get('repo:octo/repo')).resolves.toEqual({ name: 'repo' });
+    await expect(cache.get('repo:octo/other')).resolves.toBeUndefined();
+  });
+
+  it('drops exactly the entries carrying an invalidated tag', async () => {
+    await cache.set('issues:octo/repo:1', ['first page'], { ttl: 60000, tags: ['issues:octo/repo'] });
+    await cache.set('issue:octo/repo:7', { number: 7 }, { ttl: 60000, tags: ['issues:octo/repo', 'issue:octo/repo#7'] });
+    await cache.set('issues:octo/other:1', ['other page'], { ttl: 60000, tags: ['issues:octo/other'] });
+    await cache.set('repo:octo/repo', { name: 'repo' }, { ttl: 60000 });
+
+    await expect(cache.invalidateTags(['issues:octo/repo'])).resolves.toBe(2);
+
+    await expect(cache.get('issues:octo/repo:1')).resolves.toBeUndefined();
+    await expect(cache.get('issue:octo/repo:7')).resolves.toBeUndefined();
+    await expect(cache.get('issues:octo/other:1')).resolves.toEqual(['other page']);
+    await expect(cache.get('repo:octo/repo')).resolves.toEqual({ name: 'repo' });
+  });
+
+  it('counts an entry carrying several invalidated tags once', async () => {
+    await cache.set('issue:octo/repo:7', { number: 7 }, { ttl: 60000, tags: ['issues:octo/repo', 'issue:octo/repo#7'] });
+
+    await expect(cache.invalidateTags(['issues:octo/repo', 'issue:octo/repo#7'])).resolves.toBe(1);
+    await expect(cache.keys()).resolves.toEqual([]);
+  });
+
+  it('ignores tags nothing carries', async () => {
+    await cache.set('repo:octo/repo', { name: 'repo' }, { ttl: 60000, tags: ['repo:octo/repo'] });
+
+    await expect(cache.invalidateTags(['pulls:octo/repo'])).resolves.toBe(0);
+    await expect(cache.get('repo:octo/repo')).resolves.toEqual({ name: 'repo' });
+  });
+
+  it('tags an entry written again after its tag was invalidated', async () => {
+    await cache.set('pulls:octo/repo:1', ['old'], { ttl: 60000, tags: ['pulls:octo/repo'] });
+    await cache.invalidateTags(['pulls:octo/repo']);
+    await cache.set('pulls:octo/repo:1', ['new'], { ttl: 60000, tags: ['pulls:octo/repo'] });
+
+    await expect(cache.invalidateTags(['pulls:octo/repo'])).resolves.toBe(1);
+    await expect(cache.get('pulls:octo/repo:1')).resolves.toBeUndefined();
+  });
+});
+
+describe('file cache sweep', () => {
+  let dir;
+  let cache;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'github-mcp-cache-test-'));
+    cache = new FileCache({ dir });
+  });
+
+  afterEach(async () => {
+    clearInterval(cache.sweepTimer);
+    await fs.promises.rm(dir, { recursive: true, force: true });
+  });
+
+  it('removes expired entries and the tag links they leave behind', async () => {
+    await cache.set('issues:octo/repo:1', ['page'], { ttl: 60000, tags: ['issues:octo/repo'] });
+    await cache.set('issues:octo/repo:2', ['page'], { ttl: 1, tags: ['issues:octo/repo', 'stale:octo/repo'] });
+    await new Promise(resolve => setTimeout(resolve, 5));
+
+    await expect(cache.sweep()).resolves.toBe(1);
+    // A second sweep drops the links to the entry the first one removed
+    await cache.sweep();
+
+    const tags = await fs.promises.readdir(cache.tagsDir);
+    expect(tags).toHaveLength(1);
+    await expect(fs.promises.readdir(path.join(cache.tagsDir, tags[0]))).resolves.toHaveLength(1);
+    await expect(cache.invalidateTags(['issues:octo/repo'])).resolves.toBe(1);
+  });
+});
+
+describe('redis cache', () => {
+  it('fails a write when a command in its transaction fails', async () => {
+    const cache = new RedisCache({ url: 'redis://localhost:6379', prefix: 'failing:' });
+    const multi = cache.redis.multi.bind(cache.redis);
+
+    // Redis answers EXEC with each command's error rather than failing the transaction
+    jest.spyOn(cache.redis, 'multi').mockImplementation(() => {
+      const transaction = multi();
+      transaction.exec = async () => [
+        [null, 'OK'],
+        [new Error('WRONGTYPE Operation against a key holding the wrong kind of value'), null]
+      ];
+      return transaction;
+    });
+
+    try {
+      await expect(cache.set('issues:octo/repo:1', ['page'], { ttl: 60000, tags: ['issues:octo/repo'] }))
+        .rejects.toThrow(/WRONGTYPE/);
+    } finally {
+      cache.redis.disconnect();
+    }
+  });
+});
+
+// Made with Bob
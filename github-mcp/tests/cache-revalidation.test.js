@@ -0,0 +1,96 @@
+process.env.GITHUB_API_TOKEN = 'test-token';
+delete process.env.GITHUB_APP_ID;
+delete process.env.GITHUB_TOKEN_HEADER;
+delete process.env.CACHE_BACKEND;
+
+const { fakeGitHub } = require('./helpers/fake-github');
+const { GitHubClient } = require('../src/github/client');
+
+/**
+ * A client whose repository endpoint answers conditional requests with 304 until the
+ * repository changes
+ */
+function setup({ staleWhileRevalidate = 0 } = {}) {
+  const repository = { name: 'repo', default_branch: 'main', version: 1 };
+  const fetch = fakeGitHub([
+    ['GET', /^\/repos\/octo\/repo$/, request => {
+      const etag = `"v${repository.version}"`;
+      if (request.headers['if-none-match'] === etag) {
+        return { status: 304, headers: { etag } };
+      }
+      return { body: { ...repository }, headers: { etag } };
+    }]
+  ]);
+
+  const client = new GitHubClient({ request: { fetch } });
+  // Every entry is expired as soon as it is written, so each read revalidates
+  client.cacheTtl = 0;
+  client.staleWhileRevalidate = staleWhileRevalidate;
+
+  return { client, fetch, repository };
+}
+
+describe('cache revalidation', () => {
+  it('serves a fresh entry without asking GitHub', async () => {
+    const { client, fetch } = setup();
+    client.cacheTtl = 60000;
+
+    await client.getRepository('octo', 'repo');
+    await client.getRepository('octo', 'repo');
+
+    expect(fetch.requests).toHaveLength(1);
+  });
+
+  it('revalidates an expired entry with its ETag and keeps it on 304', async () => {
+    const { client, fetch } = setup();
+
+    const first = await client.getRepository('octo', 'repo');
+    const second = await client.getRepository('octo', 'repo');
+
+    expect(fetch.requests).toHaveLength(2);
+    expect(fetch.requests[0].headers['if-none-match']).toBeUndefined();
+    expect(fetch.requests[1].headers['if-none-match']).toBe('"v1"');
+    expect(second).toEqual(first);
+    expect(client.cacheReads.get('repo')).toMatchObject({ misses: 1, revalidated: 1 });
+  });
+
+  it('replaces an expired entry when GitHub has a newer version', async () => {
+    const { client, repository } = setup();
+
+    await client.getRepository('octo', 'repo');
+    repository.version = 2;
+
+    await expect(client.getRepository('octo', 'repo')).resolves.toMatchObject({ version: 2 });
+  });
+
+  it('serves a stale entry at once and refreshes it in the background', async () => {
+    const { client, fetch, repository } = setup({ staleWhileRevalidate: 60000 });
+
+    await client.getRepository('octo', 'repo');
+    repository.version = 2;
+
+    // The stale copy is returned while the refresh is still in flight
+    await expect(client.getRepository('octo', 'repo')).resolves.toMatchObject({ version: 1 });
+    expect(client.revalidations.size).toBe(1);
+
+    await Promise.all(client.revalidations.values());
+    expect(fetch.requests).toHaveLength(2);
+    expect(fetch.requests[1].headers['if-none-match']).toBe('"v1"');
+
+    client.staleWhileRevalidate = 0;
+    client.cacheTtl = 60000;
+    await expect(client.getRepository('octo', 'repo')).resolves.toMatchObject({ version: 2 });
+    expect(fetch.requests).toHaveLength(2);
+  });
+
+  it('shares one request between concurrent reads of an expired entry', async () => {
+    const { client, fetch } = setup();
+
+    await client.getRepository('octo', 'repo');
+    await Promise.all([client.getRepository('octo', 'repo'), client.getRepository('octo', 'repo')]);
+
+    expect(fetch.requests).toHaveLength(2);
+  });
+});
+
+// Made with Bob
@@ -0,0 +1,61 @@
+process.env.GITHUB_API_TOKEN = 'test-token';
+delete process.env.GITHUB_APP_ID;
+delete process.env.GITHUB_TOKEN_HEADER;
+delete process.env.CACHE_BACKEND;
+
+const { fakeGitHub } = require('./helpers/fake-github');
+
+// The branch head's tree, by tree SHA
+const trees = {
+  'root-tree': [
+    { path: 'README.md', mode: '100644', type: 'blob', sha: 'readme' },
+    { path: 'bin', mode: '040000', type: 'tree', sha: 'bin-tree' },
+    { path: 'latest', mode: '120000', type: 'blob', sha: 'link' }
+  ],
+  'bin-tree': [
+    { path: 'deploy.sh', mode: '100755', type: 'blob', sha: 'deploy' }
+  ]
+};
+
+const mockFetch = fakeGitHub([
+  ['GET', /^\/repos\/octo\/repo\/git\/ref\/heads\/main$/, () => ({ body: { object: { sha: 'head' } } })],
+  ['GET', /^\/repos\/octo\/repo\/git\/commits\/head$/, () => ({ body: { sha: 'head', tree: { sha: 'root-tree' } } })],
+  ['GET', /^\/repos\/octo\/repo\/git\/trees\/([^/]+)$/, (request, [, sha]) => ({ body: { sha, tree: trees[sha], truncated: false } })],
+  ['POST', /^\/repos\/octo\/repo\/git\/blobs$/, request => ({ status: 201, body: { sha: `blob-${JSON.parse(request.body).content}` } })],
+  ['POST', /^\/repos\/octo\/repo\/git\/trees$/, () => ({ status: 201, body: { sha: 'new-tree' } })],
+  ['POST', /^\/repos\/octo\/repo\/git\/commits$/, () => ({ status: 201, body: { sha: 'new-commit' } })],
+  ['PATCH', /^\/repos\/octo\/repo\/git\/refs\/heads\/main$/, () => ({ body: { object: { sha: 'new-commit' } } })]
+]);
+
+jest.mock('../src/github/client', () => {
+  const { GitHubClient } = jest.requireActual('../src/github/client');
+  return new GitHubClient({ request: { fetch: mockFetch } });
+});
+
+const githubClient = require('../src/github/client');
+
+describe('commitFiles', () => {
+  test('keeps the mode of the files it updates', async () => {
+    await githubClient.commitFiles('octo', 'repo', 'main', 'Update files', [
+      { path: 'bin/deploy.sh', content: 'deploy' },
+      { path: 'latest', content: 'v2' },
+      { path: 'README.md', content: 'readme' },
+      { path: 'bin/new.sh', content: 'new' },
+      { path: 'docs/guide.md', content: 'guide' }
+    ]);
+
+    const createTree = mockFetch.requests.find(request => request.method === 'POST' && request.path.endsWith('/git/trees'));
+    const { base_tree: baseTree, tree } = JSON.parse(createTree.body);
+
+    expect(baseTree).toBe('root-tree');
+    expect(tree.map(entry => [entry.path, entry.mode, entry.sha])).toEqual([
+      ['bin/deploy.sh', '100755', 'blob-deploy'],
+      ['latest', '120000', 'blob-v2'],
+      ['README.md', '100644', 'blob-readme'],
+      ['bin/new.sh', '100644', 'blob-new'],
+      ['docs/guide.md', '100644', 'blob-guide']
+    ]);
+  });
+});
+
+// Made with Bob
@@ -0,0 +1,54 @@
+process.env.GITHUB_API_TOKEN = 'test-token';
+delete process.env.GITHUB_APP_ID;
+delete process.env.GITHUB_TOKEN_HEADER;
+delete process.env.CACHE_BACKEND;
+
+const { fakeGitHub, contentsResponse } = require('./helpers/fake-github');
+
+const COMMIT_SHA = 'c'.repeat(40);
+const largeText = 'line\n'.repeat(300000);
+
+const mockFetch = fakeGitHub([
+  ['GET', /^\/repos\/octo\/repo\/contents\/small\.txt$/, () => ({ body: contentsResponse('small.txt', 'one\ntwo\nthree\n') })],
+  ['GET', /^\/repos\/octo\/repo\/contents\/large\.txt$/, () => ({
+    body: { ...contentsResponse('large.txt', ''), size: Buffer.byteLength(largeText), encoding: 'none', sha: 'large-blob' }
+  })],
+  ['GET', /^\/repos\/octo\/repo\/git\/blobs\/large-blob$/, () => ({
+    body: { sha: 'large-blob', size: Buffer.byteLength(largeText), encoding: 'base64', content: Buffer.from(largeText).toString('base64') }
+  })]
+]);
+
+jest.mock('../src/github/client', () => {
+  const { GitHubClient } = jest.requireActual('../src/github/client');
+  return new GitHubClient({ request: { fetch: mockFetch } });
+});
+
+const githubClient = require('../src/github/client');
+
+/**
+ * Count the requests made to a path
+ */
+function requestsTo(path) {
+  return mockFetch.requests.filter(request => request.path === path).length;
+}
+
+describe('getFileContent', () => {
+  test('returns a line range of a small file', async () => {
+    const file = await githubClient.getFileContent('octo', 'repo', 'small.txt', COMMIT_SHA, { startLine: 2, endLine: 3 });
+
+    expect(file).toMatchObject({ content: 'two\nthree\n', startLine: 2, endLine: 3, totalLines: 3, truncated: false, isBinary: false });
+  });
+
+  test('reads large files through the blob API without caching them', async () => {
+    const first = await githubClient.getFileContent('octo', 'repo', 'large.txt', COMMIT_SHA, { maxBytes: 10 });
+    const second = await githubClient.getFileContent('octo', 'repo', 'large.txt', COMMIT_SHA, { startLine: 299999 });
+
+    expect(first).toMatchObject({ content: 'line\nline\n', totalLines: 300000, truncated: true });
+    expect(second).toMatchObject({ content: 'line\nline\n', startLine: 299999, endLine: 300000, truncated: false });
+
+    expect(requestsTo('/repos/octo/repo/git/blobs/large-blob')).toBe(2);
+    expect(await githubClient.cache.keys()).not.toContainEqual(expect.stringContaining('blob:'));
+  });
+});
+
+// Made with Bob
@@ -0,0 +1,112 @@
+process.env.GITHUB_API_TOKEN = 'test-token';
+process.env.POLICY_DENY_PATHS = 'secret/**';
+delete process.env.GITHUB_APP_ID;
+delete process.env.GITHUB_TOKEN_HEADER;
+delete process.env.CACHE_BACKEND;
+
+const { fakeGitHub, contentsResponse } = require('./helpers/fake-github');
+
+const COMMIT_SHA = 'a'.repeat(40);
+
+// a.txt to h.txt are forty bytes: ten four-byte lines
+const files = {
+  'big.txt': 'big\n'.repeat(50),
+  'secret/key.txt': 'key\n'
+};
+for (const name of ['a', 'b', 'c', 'd', 'e', 'f', 'g', 'h']) {
+  files[`${name}.txt`] = `${name}${name}${name}\n`.repeat(10);
+}
+
+// Reads of these paths answer after a delay, so later files can finish first
+let slowPaths = new Set();
+
+const mockFetch = fakeGitHub([
+  ['GET', /^\/repos\/octo\/repo\/commits\/HEAD$/, () => ({ body: COMMIT_SHA })],
+  ['GET', /^\/repos\/octo\/repo\/contents\/(.+)$/, async (request, [, path]) => {
+    if (slowPaths.has(path)) {
+      await new Promise(resolve => setTimeout(resolve, 20));
+    }
+    return files[path] === undefined ? { status: 404, body: { message: 'Not Found' } } : { body: contentsResponse(path, files[path]) };
+  }]
+]);
+
+jest.mock('../src/github/client', () => {
+  const { GitHubClient } = jest.requireActual('../src/github/client');
+  return new GitHubClient({ request: { fetch: mockFetch } });
+});
+
+const githubClient = require('../src/github/client');
+const { callTool } = require('../src/tools');
+
+/**
+ * The paths of the files read from the contents API since the test started
+ */
+function contentsRead() {
+  return mockFetch.requests
+    .map(request => request.path.match(/\/contents\/(.+)$/))
+    .filter(Boolean)
+    .map(match => match[1]);
+}
+
+beforeEach(async () => {
+  await githubClient.cache.clear();
+  mockFetch.requests.length = 0;
+  slowPaths = new Set();
+});
+
+describe('getFiles', () => {
+  test('shares the byte budget out in the order the paths are given', async () => {
+    const result = await callTool('getFiles', { owner: 'octo', repo: 'repo', paths: ['a.txt', 'b.txt', 'c.txt', 'd.txt'], maxBytes: 100 });
+
+    expect(result.files.map(file => [file.path, file.content === undefined ? undefined : Buffer.byteLength(file.content)])).toEqual([
+      ['a.txt', 40],
+      ['b.txt', 40],
+      ['c.txt', 20],
+      ['d.txt', undefined]
+    ]);
+    expect(result.files[0].truncated).toBe(false);
+    expect(result.files[2]).toMatchObject({ truncated: true, endLine: 5, omittedBytes: 20, omittedLines: 5 });
+    expect(result.files[3]).toEqual({ path: 'd.txt', skipped: true });
+    expect(result).toMatchObject({ bytes: 100, truncated: true, omittedFiles: 0, commitSha: COMMIT_SHA });
+  });
+
+  test('gives earlier files their share when later ones are read first', async () => {
+    slowPaths = new Set(['a.txt']);
+
+    const result = await callTool('getFiles', { owner: 'octo', repo: 'repo', paths: ['a.txt', 'b.txt', 'c.txt'], maxBytes: 60 });
+
+    expect(result.files.map(file => file.content && Buffer.byteLength(file.content))).toEqual([40, 20, undefined]);
+    expect(result.files[1].truncated).toBe(true);
+    expect(result.files[2]).toEqual({ path: 'c.txt', skipped: true });
+    expect(result.bytes).toBe(60);
+  });
+
+  test("doesn't read files once the budget is spent", async () => {
+    slowPaths = new Set(['b.txt', 'c.txt', 'd.txt', 'e.txt']);
+
+    const result = await callTool('getFiles', {
+      owner: 'octo',
+      repo: 'repo',
+      paths: ['big.txt', 'b.txt', 'c.txt', 'd.txt', 'e.txt', 'f.txt', 'g.txt', 'h.txt'],
+      maxBytes: 100
+    });
+
+    expect(result.files[0]).toMatchObject({ path: 'big.txt', truncated: true });
+    expect(Buffer.byteLength(result.files[0].content)).toBe(100);
+    expect(result.files.slice(1)).toEqual(['b', 'c', 'd', 'e', 'f', 'g', 'h'].map(name => ({ path: `${name}.txt`, skipped: true })));
+
+    // The first reads started together; none started after big.txt spent the budget
+    expect(contentsRead().sort()).toEqual(['b.txt', 'big.txt', 'c.txt', 'd.txt', 'e.txt']);
+  });
+
+  test('reports files the policy denies without reading them', async () => {
+    const result = await callTool('getFiles', { owner: 'octo', repo: 'repo', paths: ['secret/key.txt', 'missing.txt', 'a.txt'] });
+
+    expect(result.files[0]).toEqual({ path: 'secret/key.txt', error: expect.objectContaining({ code: 'policy_denied' }) });
+    expect(result.files[1]).toEqual({ path: 'missing.txt', error: expect.objectContaining({ code: 'not_found' }) });
+    expect(result.files[2]).toMatchObject({ path: 'a.txt', content: files['a.txt'] });
+    expect(contentsRead()).not.toContain('secret/key.txt');
+  });
+});
+
+// Made with Bob
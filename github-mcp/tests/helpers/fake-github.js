@@ -0,0 +1,63 @@
+/**
+ * A fetch for Octokit that answers GitHub API requests from routes instead of the network.
+ * Each route is [method, path pattern, handler]; the handler gets the request and the path's
+ * match and returns { status, body, headers }. Unmatched requests get 404. Every request is
+ * recorded in fetch.requests, and routes can be added to fetch.routes as a test goes.
+ */
+function fakeGitHub(routes = []) {
+  const requests = [];
+
+  const fetch = async (url, options = {}) => {
+    const { pathname: encodedPath, searchParams } = new URL(url);
+    const pathname = decodeURIComponent(encodedPath);
+    const method = options.method || 'GET';
+    const headers = Object.fromEntries(Object.entries(options.headers || {}).map(([name, value]) => [name.toLowerCase(), value]));
+    const request = { method, path: pathname, query: searchParams, headers, body: options.body };
+    requests.push(request);
+
+    const route = fetch.routes.find(([routeMethod, pattern]) => routeMethod === method && pattern.test(pathname));
+    const response = route
+      ? await route[2](request, pathname.match(route[1]))
+      : { status: 404, body: { message: 'Not Found' } };
+    const { status = 200, body = {}, headers: responseHeaders = {} } = response;
+
+    return new Response(status === 304 || status === 204 ? null : typeof body === 'string' ? body : JSON.stringify(body), {
+      status,
+      headers: {
+        'content-type': typeof body === 'string' ? 'text/plain' : 'application/json',
+        'x-ratelimit-limit': '5000',
+        'x-ratelimit-remaining': '4999',
+        'x-ratelimit-reset': String(Math.ceil(Date.now() / 1000) + 3600),
+        'x-ratelimit-resource': 'core',
+        ...responseHeaders
+      }
+    });
+  };
+
+  fetch.requests = requests;
+  fetch.routes = routes;
+  return fetch;
+}
+
+/**
+ * A text file as the contents API returns it
+ */
+function contentsResponse(path, text) {
+  return {
+    type: 'file',
+    encoding: 'base64',
+    size: Buffer.byteLength(text),
+    name: path.split('/').pop(),
+    path,
+    sha: `sha-${path}`,
+    content: Buffer.from(text).toString('base64'),
+    html_url: `https://github.com/octo/repo/blob/main/${path}`
+  };
+}
+
+module.exports = {
+  fakeGitHub,
+  contentsResponse
+};
+
+// Made with Bob
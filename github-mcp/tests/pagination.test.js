@@ -0,0 +1,111 @@
+process.env.GITHUB_API_TOKEN = 'test-token';
+delete process.env.GITHUB_APP_ID;
+delete process.env.GITHUB_TOKEN_HEADER;
+delete process.env.CACHE_BACKEND;
+
+const { fakeGitHub } = require('./helpers/fake-github');
+
+// Seven issues, served in pages with Link headers like GitHub's
+const issues = Array.from({ length: 7 }, (_, index) => ({ number: index + 1 }));
+
+const mockFetch = fakeGitHub([
+  ['GET', /^\/repos\/octo\/repo\/issues$/, request => {
+    const page = parseInt(request.query.get('page'));
+    const perPage = parseInt(request.query.get('per_page'));
+    const hasNext = page * perPage < issues.length;
+    const link = `<https://api.github.com/repositories/1/issues?per_page=${perPage}&page=${page + 1}>; rel="next"`;
+
+    return {
+      body: issues.slice((page - 1) * perPage, page * perPage),
+      headers: hasNext ? { link } : {}
+    };
+  }]
+]);
+
+jest.mock('../src/github/client', () => {
+  const { GitHubClient } = jest.requireActual('../src/github/client');
+  return new GitHubClient({ request: { fetch: mockFetch } });
+});
+
+const githubClient = require('../src/github/client');
+const { encodeCursor, decodeCursor, nextPageFromLink } = require('../src/github/pagination');
+const { ValidationError } = require('../src/utils/errors');
+
+/**
+ * Encode anything as a cursor would be
+ */
+function rawCursor(value) {
+  return Buffer.from(typeof value === 'string' ? value : JSON.stringify(value)).toString('base64url');
+}
+
+describe('cursors', () => {
+  test('decode to the position they were encoded from', () => {
+    const position = { page: 3, perPage: 25, offset: 10 };
+
+    expect(decodeCursor(encodeCursor(position))).toEqual(position);
+  });
+
+  test.each([
+    ['not base64 JSON', '!!!'],
+    ['JSON that is not a position', rawCursor('[1, 2, 3]')],
+    ['a non-integer page', rawCursor({ p: 1.5, n: 30, o: 0 })],
+    ['a page before the first', rawCursor({ p: 0, n: 30, o: 0 })],
+    ['a page size over 100', rawCursor({ p: 1, n: 1000, o: 0 })],
+    ['a negative offset', rawCursor({ p: 1, n: 30, o: -1 })],
+    ['an offset past the page', rawCursor({ p: 1, n: 30, o: 30 })],
+    ['a missing field', rawCursor({ p: 1, n: 30 })]
+  ])('are rejected when tampered with: %s', (description, cursor) => {
+    let error;
+    try {
+      decodeCursor(cursor);
+    } catch (caught) {
+      error = caught;
+    }
+
+    expect(error).toBeInstanceOf(ValidationError);
+    expect(error.errors).toEqual([{ field: 'cursor', message: 'is not a cursor returned by this server' }]);
+  });
+});
+
+describe('Link headers', () => {
+  test('give the next page', () => {
+    const link = '<https://api.github.com/repositories/1/issues?page=3>; rel="next", <https://api.github.com/repositories/1/issues?page=9>; rel="last"';
+
+    expect(nextPageFromLink(link)).toBe(3);
+  });
+
+  test('give no next page on the last page', () => {
+    expect(nextPageFromLink('<https://api.github.com/repositories/1/issues?page=1>; rel="first"')).toBeNull();
+    expect(nextPageFromLink(undefined)).toBeNull();
+  });
+});
+
+describe('paginated lists', () => {
+  test('return one page and a cursor to the next', async () => {
+    const first = await githubClient.getIssues('octo', 'repo', { per_page: 3 });
+    expect(first.items.map(issue => issue.number)).toEqual([1, 2, 3]);
+
+    const second = await githubClient.getIssues('octo', 'repo', { cursor: first.nextCursor });
+    expect(second.items.map(issue => issue.number)).toEqual([4, 5, 6]);
+    expect(decodeCursor(second.nextCursor)).toEqual({ page: 3, perPage: 3, offset: 0 });
+  });
+
+  test('collect maxItems across pages and resume part-way through a page', async () => {
+    const first = await githubClient.getIssues('octo', 'repo', { per_page: 3, maxItems: 5 });
+    expect(first.items.map(issue => issue.number)).toEqual([1, 2, 3, 4, 5]);
+    expect(decodeCursor(first.nextCursor)).toEqual({ page: 2, perPage: 3, offset: 2 });
+
+    const rest = await githubClient.getIssues('octo', 'repo', { cursor: first.nextCursor, maxItems: 10 });
+    expect(rest.items.map(issue => issue.number)).toEqual([6, 7]);
+    expect(rest.nextCursor).toBeUndefined();
+  });
+
+  test('refuse a tampered cursor without calling GitHub', async () => {
+    const requests = mockFetch.requests.length;
+
+    await expect(githubClient.getIssues('octo', 'repo', { cursor: rawCursor({ p: 1, n: 500, o: 0 }) })).rejects.toThrow('Invalid cursor');
+    expect(mockFetch.requests).toHaveLength(requests);
+  });
+});
+
+// Made with Bob
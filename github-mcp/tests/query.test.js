@@ -0,0 +1,76 @@
+const { buildIssueQuery, buildCodeQuery } = require('../src/github/query');
+
+describe('buildIssueQuery', () => {
+  it('searches issues and pull requests unless a type is given', () => {
+    expect(buildIssueQuery({ text: 'crash' })).toBe('crash');
+    expect(buildIssueQuery({ type: 'issue', text: 'crash' })).toBe('is:issue crash');
+    expect(buildIssueQuery({ type: 'pr', text: 'crash' })).toBe('is:pr crash');
+  });
+
+  it('combines qualifiers ahead of the free text', () => {
+    const query = buildIssueQuery({
+      text: 'memory leak',
+      state: 'open',
+      org: 'octo',
+      repos: ['octo/one', 'octo/two'],
+      author: 'alice',
+      assignee: 'bob'
+    });
+
+    expect(query).toBe('state:open org:octo repo:octo/one repo:octo/two author:alice assignee:bob memory leak');
+  });
+
+  it('quotes labels with spaces or search syntax', () => {
+    const query = buildIssueQuery({ labels: ['bug', 'good first issue', 'area:api', 'needs(triage)'] });
+
+    expect(query).toBe('label:bug label:"good first issue" label:"area:api" label:"needs(triage)"');
+  });
+
+  it('drops double quotes from labels, which GitHub cannot escape', () => {
+    expect(buildIssueQuery({ labels: ['say "hi"'] })).toBe('label:"say hi"');
+    expect(buildIssueQuery({ labels: ['"quoted"'] })).toBe('label:quoted');
+  });
+
+  it("finds unassigned issues with assignee 'none'", () => {
+    expect(buildIssueQuery({ assignee: 'none' })).toBe('no:assignee');
+  });
+
+  it('compiles closed and open-ended date ranges', () => {
+    expect(buildIssueQuery({ created: { from: '2024-01-01', to: '2024-03-31' } })).toBe('created:2024-01-01..2024-03-31');
+    expect(buildIssueQuery({ created: { from: '2024-01-01' } })).toBe('created:>=2024-01-01');
+    expect(buildIssueQuery({ updated: { to: '2024-03-31' } })).toBe('updated:<=2024-03-31');
+    expect(buildIssueQuery({ updated: {} })).toBe('');
+  });
+});
+
+describe('buildCodeQuery', () => {
+  it('searches one repository when repo is given', () => {
+    expect(buildCodeQuery({ text: 'parseConfig', owner: 'octo', repo: 'repo' })).toBe('parseConfig repo:octo/repo');
+  });
+
+  it('searches everything owned by a user or organization', () => {
+    expect(buildCodeQuery({ text: 'parseConfig', owner: 'alice', ownerType: 'User' })).toBe('parseConfig user:alice');
+    expect(buildCodeQuery({ text: 'parseConfig', owner: 'octo', ownerType: 'Organization' })).toBe('parseConfig org:octo');
+  });
+
+  it('quotes language, path and filename values that need it', () => {
+    const query = buildCodeQuery({
+      text: 'TODO',
+      owner: 'octo',
+      repo: 'repo',
+      language: 'Objective-C++',
+      path: 'docs/user guide',
+      extension: 'md',
+      filename: 'read me.md'
+    });
+
+    expect(query).toBe('TODO repo:octo/repo language:Objective-C++ path:"docs/user guide" extension:md filename:"read me.md"');
+  });
+
+  it('leaves plain values unquoted and drops embedded double quotes', () => {
+    expect(buildCodeQuery({ text: 'x', owner: 'octo', repo: 'repo', language: 'Visual Basic', path: 'src/"lib"' }))
+      .toBe('x repo:octo/repo language:"Visual Basic" path:src/lib');
+  });
+});
+
+// Made with Bob
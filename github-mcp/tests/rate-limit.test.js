@@ -0,0 +1,154 @@
+const { RateLimitScheduler, rateLimitHeaders } = require('../src/github/rate-limit');
+const requestContext = require('../src/utils/request-context');
+
+const options = { method: 'GET', url: '/repos/{owner}/{repo}' };
+
+/**
+ * Rate limit headers as GitHub sends them, resetting in resetIn seconds
+ */
+function githubHeaders(remaining, resetIn = 3600) {
+  return {
+    'x-ratelimit-limit': '5000',
+    'x-ratelimit-remaining': String(remaining),
+    'x-ratelimit-reset': String(Math.floor((Date.now() + resetIn * 1000) / 1000)),
+    'x-ratelimit-resource': 'core'
+  };
+}
+
+/**
+ * An error shaped like octokit's RequestError
+ */
+function requestError(status, headers, message = 'API rate limit exceeded') {
+  return Object.assign(new Error(message), { status, response: { status, headers } });
+}
+
+describe('RateLimitScheduler', () => {
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  it('records the budget from response headers and reports it to the request', async () => {
+    const scheduler = new RateLimitScheduler({ maxWait: 60000, maxRetries: 3 });
+    const request = jest.fn().mockResolvedValue({ status: 200, headers: githubHeaders(4999) });
+    const rateLimits = {};
+
+    await requestContext.run({ rateLimits }, () => scheduler.schedule('token', options, request));
+
+    expect(rateLimits.core).toMatchObject({ limit: 5000, remaining: 4999 });
+    expect(scheduler.getStatus()).toEqual([
+      { key: 'token', resources: [expect.objectContaining({ resource: 'core', remaining: 4999 })] }
+    ]);
+  });
+
+  it('waits for an exhausted budget to reset when that is within maxWait', async () => {
+    jest.useFakeTimers();
+    const scheduler = new RateLimitScheduler({ maxWait: 60000, maxRetries: 3 });
+    const request = jest.fn().mockResolvedValue({ status: 200, headers: githubHeaders(0, 30) });
+
+    await scheduler.schedule('token', options, request);
+
+    let settled = false;
+    const pending = scheduler.schedule('token', options, request).then(() => {
+      settled = true;
+    });
+
+    await jest.advanceTimersByTimeAsync(29000);
+    expect(settled).toBe(false);
+    expect(request).toHaveBeenCalledTimes(1);
+
+    await jest.advanceTimersByTimeAsync(3000);
+    await pending;
+    expect(request).toHaveBeenCalledTimes(2);
+  });
+
+  it('fails fast when the budget resets later than maxWait', async () => {
+    const scheduler = new RateLimitScheduler({ maxWait: 60000, maxRetries: 3 });
+    const request = jest.fn().mockResolvedValue({ status: 200, headers: githubHeaders(0, 600) });
+
+    await scheduler.schedule('token', options, request);
+
+    await expect(scheduler.schedule('token', options, request)).rejects.toMatchObject({
+      status: 429,
+      code: 'rate_limited'
+    });
+    expect(request).toHaveBeenCalledTimes(1);
+  });
+
+  it('keeps the budgets of different tokens apart', async () => {
+    const scheduler = new RateLimitScheduler({ maxWait: 60000, maxRetries: 3 });
+    const exhausted = jest.fn().mockResolvedValue({ status: 200, headers: githubHeaders(0, 600) });
+    const request = jest.fn().mockResolvedValue({ status: 200, headers: githubHeaders(10) });
+
+    await scheduler.schedule('caller:one', options, exhausted);
+    await scheduler.schedule('caller:two', options, request);
+
+    expect(request).toHaveBeenCalledTimes(1);
+  });
+
+  it('retries after retry-after until a request succeeds', async () => {
+    jest.useFakeTimers();
+    const scheduler = new RateLimitScheduler({ maxWait: 60000, maxRetries: 3 });
+    const request = jest.fn()
+      .mockRejectedValueOnce(requestError(429, { 'retry-after': '5' }))
+      .mockResolvedValueOnce({ status: 200, headers: githubHeaders(100) });
+
+    const pending = scheduler.schedule('token', options, request);
+    await jest.advanceTimersByTimeAsync(5000);
+
+    await expect(pending).resolves.toMatchObject({ status: 200 });
+    expect(request).toHaveBeenCalledTimes(2);
+  });
+
+  it('gives up after maxRetries retries', async () => {
+    jest.useFakeTimers();
+    const scheduler = new RateLimitScheduler({ maxWait: 60000, maxRetries: 2 });
+    const request = jest.fn().mockRejectedValue(requestError(403, { 'retry-after': '1' }, 'You have exceeded a secondary rate limit'));
+
+    const pending = scheduler.schedule('token', options, request);
+    const outcome = expect(pending).rejects.toMatchObject({ status: 403 });
+    await jest.advanceTimersByTimeAsync(2000);
+
+    await outcome;
+    expect(request).toHaveBeenCalledTimes(3);
+  });
+
+  it('does not retry when retry-after is longer than maxWait', async () => {
+    const scheduler = new RateLimitScheduler({ maxWait: 60000, maxRetries: 3 });
+    const request = jest.fn().mockRejectedValue(requestError(429, { 'retry-after': '120' }));
+
+    await expect(scheduler.schedule('token', options, request)).rejects.toMatchObject({ status: 429 });
+    expect(request).toHaveBeenCalledTimes(1);
+  });
+
+  it('does not retry errors other than rate limits', async () => {
+    const scheduler = new RateLimitScheduler({ maxWait: 60000, maxRetries: 3 });
+    const request = jest.fn().mockRejectedValue(requestError(403, {}, 'Resource not accessible by integration'));
+
+    await expect(scheduler.schedule('token', options, request)).rejects.toMatchObject({ status: 403 });
+    expect(request).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe('rateLimitHeaders', () => {
+  it('reports each resource a request used in its own headers', () => {
+    const headers = rateLimitHeaders({
+      core: { limit: 5000, remaining: 4821, reset: '2025-06-18T12:00:00.000Z' },
+      code_search: { limit: 10, remaining: 9, reset: '2025-06-18T11:01:00.000Z' }
+    });
+
+    expect(headers).toEqual({
+      'X-GitHub-RateLimit-Core-Limit': '5000',
+      'X-GitHub-RateLimit-Core-Remaining': '4821',
+      'X-GitHub-RateLimit-Core-Reset': '2025-06-18T12:00:00.000Z',
+      'X-GitHub-RateLimit-Code-Search-Limit': '10',
+      'X-GitHub-RateLimit-Code-Search-Remaining': '9',
+      'X-GitHub-RateLimit-Code-Search-Reset': '2025-06-18T11:01:00.000Z'
+    });
+  });
+
+  it('adds no headers when no GitHub request was made', () => {
+    expect(rateLimitHeaders({})).toEqual({});
+  });
+});
+
+// Made with Bob
@@ -0,0 +1,189 @@
+// Spans are kept in memory, so these are set before the server's modules load
+process.env.OTEL_TRACES_EXPORTER = 'memory';
+process.env.GITHUB_API_TOKEN = 'test-token';
+delete process.env.GITHUB_APP_ID;
+delete process.env.GITHUB_TOKEN_HEADER;
+delete process.env.CACHE_BACKEND;
+
+const express = require('express');
+const { fakeGitHub } = require('./helpers/fake-github');
+
+const issue = {
+  number: 7,
+  title: 'Spans are missing',
+  state: 'open',
+  state_reason: null,
+  body: 'Tool calls should be traced',
+  user: { login: 'octocat', avatar_url: 'https://example.com/octocat.png', html_url: 'https://github.com/octocat' },
+  labels: [],
+  assignees: [],
+  milestone: null,
+  locked: false,
+  comments: 0,
+  created_at: '2026-01-01T00:00:00Z',
+  updated_at: '2026-01-01T00:00:00Z',
+  closed_at: null,
+  html_url: 'https://github.com/octo/repo/issues/7'
+};
+
+const mockFetch = fakeGitHub([
+  ['GET', /^\/repos\/octo\/repo\/issues\/7$/, () => ({ body: issue })]
+]);
+
+// Tools use a client that answers from the routes above
+jest.mock('../src/github/client', () => {
+  const { GitHubClient } = jest.requireActual('../src/github/client');
+  return new GitHubClient({ request: { fetch: mockFetch } });
+});
+
+const tracing = require('../src/utils/tracing');
+const { handleMessage } = require('../src/mcp/protocol');
+const streamableHttp = require('../src/transports/streamable-http');
+
+const session = { id: 'test-session', notify() {} };
+
+/**
+ * Call a tool over MCP and return the spans recorded while it ran
+ */
+async function callTool(name, args) {
+  tracing.memoryExporter.reset();
+  const response = await handleMessage({ jsonrpc: '2.0', id: 1, method: 'tools/call', params: { name, arguments: args } }, session);
+  return { response, spans: tracing.memoryExporter.getFinishedSpans() };
+}
+
+/**
+ * Find the one span with a name
+ */
+function spanNamed(spans, name) {
+  const matches = spans.filter(span => span.name === name);
+  expect(matches).toHaveLength(1);
+  return matches[0];
+}
+
+/**
+ * Get a span's parent span ID, whichever SDK field holds it
+ */
+function parentOf(span) {
+  return span.parentSpanContext ? span.parentSpanContext.spanId : span.parentSpanId;
+}
+
+afterAll(async () => {
+  await tracing.shutdown();
+});
+
+describe('tracing', () => {
+  test('a tool call is traced from the MCP request down to the GitHub request', async () => {
+    const { response, spans } = await callTool('getIssue', { owner: 'octo', repo: 'repo', issueNumber: 7 });
+    expect(response.result.isError).toBe(false);
+
+    const request = spanNamed(spans, 'mcp tools/call');
+    const tool = spanNamed(spans, 'tool getIssue');
+    const cache = spanNamed(spans, 'cache issue');
+    const github = spanNamed(spans, 'GET /repos/{owner}/{repo}/issues/{issue_number}');
+
+    // One trace, each span a child of the one before it
+    expect(new Set(spans.map(span => span.spanContext().traceId)).size).toBe(1);
+    expect(parentOf(request)).toBeUndefined();
+    expect(parentOf(tool)).toBe(request.spanContext().spanId);
+    expect(parentOf(cache)).toBe(tool.spanContext().spanId);
+    expect(parentOf(github)).toBe(cache.spanContext().spanId);
+
+    expect(request.attributes).toMatchObject({
+      'rpc.system': 'jsonrpc',
+      'rpc.method': 'tools/call',
+      'mcp.session.id': 'test-session'
+    });
+    expect(tool.attributes).toMatchObject({
+      'mcp.tool.name': 'getIssue',
+      'mcp.tool.outcome': 'success',
+      'github.owner': 'octo',
+      'github.repository': 'octo/repo'
+    });
+    expect(cache.attributes).toMatchObject({
+      'cache.key': 'issue:octo/repo:7',
+      'cache.hit': false,
+      'github.repository': 'octo/repo'
+    });
+    expect(github.kind).toBe(tracing.SpanKind.CLIENT);
+    expect(github.attributes).toMatchObject({
+      'http.request.method': 'GET',
+      'http.response.status_code': 200,
+      'github.credential': 'token',
+      'github.rate_limit.resource': 'core',
+      'github.rate_limit.remaining': 4999
+    });
+  });
+
+  test('a cached read makes no GitHub request', async () => {
+    const { spans } = await callTool('getIssue', { owner: 'octo', repo: 'repo', issueNumber: 7 });
+
+    expect(spanNamed(spans, 'cache issue').attributes).toMatchObject({ 'cache.hit': true, 'cache.outcome': 'hit' });
+    expect(spans.filter(span => span.kind === tracing.SpanKind.CLIENT)).toHaveLength(0);
+  });
+
+  test('a failed GitHub request marks its spans as errors', async () => {
+    const { response, spans } = await callTool('getIssue', { owner: 'octo', repo: 'repo', issueNumber: 8 });
+    expect(response.result.isError).toBe(true);
+
+    const tool = spanNamed(spans, 'tool getIssue');
+    const github = spanNamed(spans, 'GET /repos/{owner}/{repo}/issues/{issue_number}');
+
+    expect(tool.status.code).toBe(tracing.SpanStatusCode.ERROR);
+    expect(tool.attributes['mcp.tool.outcome']).toBe('error');
+    expect(github.status.code).toBe(tracing.SpanStatusCode.ERROR);
+    expect(github.attributes['http.response.status_code']).toBe(404);
+  });
+
+  test('an HTTP request continues the trace of its traceparent header', async () => {
+    const app = express();
+    app.use(tracing.middleware);
+    app.use(express.json());
+    app.use('/mcp', streamableHttp.router);
+
+    const server = await new Promise(resolve => {
+      const listening = app.listen(0, () => resolve(listening));
+    });
+
+    const traceId = '4bf92f3577b34da6a3ce929d0e0e4736';
+    const parentSpanId = '00f067aa0ba902b7';
+
+    try {
+      tracing.memoryExporter.reset();
+      const response = await fetch(`http://localhost:${server.address().port}/mcp`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'Accept': 'application/json, text/event-stream',
+          'traceparent': `00-${traceId}-${parentSpanId}-01`
+        },
+        body: JSON.stringify({
+          jsonrpc: '2.0',
+          id: 1,
+          method: 'initialize',
+          params: { protocolVersion: '2025-03-26', capabilities: {}, clientInfo: { name: 'test', version: '1.0.0' } }
+        })
+      });
+      expect(response.status).toBe(200);
+      await response.text();
+
+      // The server span ends when the response closes, just after the client has read it
+      await new Promise(resolve => setTimeout(resolve, 50));
+    } finally {
+      await new Promise(resolve => server.close(resolve));
+    }
+
+    const spans = tracing.memoryExporter.getFinishedSpans();
+    const root = spanNamed(spans, 'POST /mcp');
+    const request = spanNamed(spans, 'mcp initialize');
+
+    expect(root.kind).toBe(tracing.SpanKind.SERVER);
+    expect(root.spanContext().traceId).toBe(traceId);
+    expect(parentOf(root)).toBe(parentSpanId);
+    expect(root.attributes).toMatchObject({ 'http.route': '/mcp', 'http.response.status_code': 200 });
+
+    expect(request.spanContext().traceId).toBe(traceId);
+    expect(parentOf(request)).toBe(root.spanContext().spanId);
+  });
+});
+
+// Made with Bob
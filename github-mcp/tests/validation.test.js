@@ -0,0 +1,83 @@
+process.env.GITHUB_API_TOKEN = 'test-token';
+delete process.env.GITHUB_APP_ID;
+delete process.env.GITHUB_TOKEN_HEADER;
+delete process.env.CACHE_BACKEND;
+
+const { fakeGitHub } = require('./helpers/fake-github');
+
+// No route is needed: input that fails validation must never reach GitHub
+const mockFetch = fakeGitHub();
+
+jest.mock('../src/github/client', () => {
+  const { GitHubClient } = jest.requireActual('../src/github/client');
+  return new GitHubClient({ request: { fetch: mockFetch } });
+});
+
+const { validateInput, callTool } = require('../src/tools');
+const { ValidationError } = require('../src/utils/errors');
+
+/**
+ * Validate input for a tool and return the ValidationError it throws
+ */
+function validationError(name, input) {
+  try {
+    validateInput(name, input);
+  } catch (error) {
+    return error;
+  }
+  throw new Error(`Input for ${name} was valid`);
+}
+
+describe('tool input validation', () => {
+  test('accepts valid input and fills in defaults', () => {
+    const input = { owner: 'octo', repo: 'repo', paths: ['README.md'] };
+    validateInput('getFiles', input);
+
+    expect(input.maxFiles).toBe(50);
+  });
+
+  test('lists every missing required parameter', () => {
+    const error = validationError('getIssue', {});
+
+    expect(error).toBeInstanceOf(ValidationError);
+    expect(error.code).toBe('invalid_input');
+    expect(error.status).toBe(400);
+    expect(error.errors).toEqual(expect.arrayContaining([
+      { field: 'owner', message: 'is required' },
+      { field: 'repo', message: 'is required' },
+      { field: 'issueNumber', message: 'is required' }
+    ]));
+    expect(error.message).toMatch(/^Invalid input for tool 'getIssue': /);
+  });
+
+  test('names unknown parameters', () => {
+    const error = validationError('getIssue', { owner: 'octo', repo: 'repo', issueNumber: 1, number: 1 });
+
+    expect(error.errors).toEqual([{ field: 'number', message: 'is not a known parameter' }]);
+  });
+
+  test('lists the values an enum allows', () => {
+    const error = validationError('getIssues', { owner: 'octo', repo: 'repo', state: 'merged' });
+
+    expect(error.errors).toEqual([{ field: 'state', message: 'must be one of: open, closed, all' }]);
+  });
+
+  test('reports the path of invalid nested values', () => {
+    const error = validationError('getFiles', { owner: 'octo', repo: 'repo', paths: ['README.md', ''] });
+
+    expect(error.errors).toEqual([{ field: 'paths.1', message: expect.stringMatching(/fewer than 1 character/) }]);
+  });
+
+  test('rejects type and range errors', () => {
+    const error = validationError('getIssues', { owner: 'octo', repo: 'repo', per_page: 500, since: 'yesterday' });
+
+    expect(error.errors.map(item => item.field).sort()).toEqual(['per_page', 'since']);
+  });
+
+  test('refuses invalid calls before calling GitHub', async () => {
+    await expect(callTool('getIssue', { owner: 'not a valid owner', repo: 'repo', issueNumber: 1 })).rejects.toBeInstanceOf(ValidationError);
+    expect(mockFetch.requests).toHaveLength(0);
+  });
+});
+
+// Made with Bob